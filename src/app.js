@@ -4,12 +4,18 @@ import helmet from "helmet"
 import cookieParser from "cookie-parser"
 
 import {errorHandler,notFoundHandler} from "./middlewares/error.middleware.js";
+import {rateLimit} from "./utils/middleware.js";
 import userRoutes from "./routes/user.route.js";
 
 
 
 const app = express()
 
+// Behind a load balancer, req.ip (used by rate limits and login throttling) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY)
+}
+
 // Essential security headers
 app.use(helmet({
     contentSecurityPolicy: false, // Configure based on your needs
@@ -24,12 +30,19 @@ app.use(cors({
     origin: 'http://localhost:5173',
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"]
+    allowedHeaders: ["Content-Type", "Authorization", "X-Cart-Token"],
+    exposedHeaders: ["X-Cart-Token"]
 }));
 
 
 // Body parsing middleware
-app.use(express.json({ limit: "16kb" }));
+app.use(express.json({
+    limit: "16kb",
+    // Keep the exact bytes around so payment webhooks can verify their HMAC signature
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(express.static("public"));
 app.use(cookieParser());
@@ -43,6 +56,12 @@ import productRoute from "./routes/product.route.js";
 import categoryRoute from "./routes/category.route.js";
 import cartRoute from "./routes/cart.route.js";
 import  orderRoute from "./routes/order.route.js";
+import paymentRoute from "./routes/payment.route.js";
+import refundRoute from "./routes/refund.route.js";
+import couponRoute from "./routes/coupon.route.js";
+import reviewRoute from "./routes/review.route.js";
+import wishlistRoute from "./routes/wishlist.route.js";
+import shippingRoute from "./routes/shipping.route.js";
 
 app.use((req, res, next) => {
     res.response = ApiResponse;
@@ -51,12 +70,25 @@ app.use((req, res, next) => {
 })
 
 
+// Baseline rate limit for the whole API; payment webhooks come from the provider and are exempt
+app.use("/api/v1", rateLimit({
+    windowMs: 60 * 1000,
+    max: Number(process.env.RATE_LIMIT_PER_MINUTE) || 100,
+    skip: (req) => req.path.startsWith("/payments/webhook")
+}))
+
 // Apply caching to specific routes
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/products", productRoute);
 app.use("/api/v1/category", categoryRoute);
 app.use("/api/v1/cart", cartRoute);
 app.use("/api/v1/orders", orderRoute);
+app.use("/api/v1/payments", paymentRoute);
+app.use("/api/v1/refunds", refundRoute);
+app.use("/api/v1/coupons", couponRoute);
+app.use("/api/v1/reviews", reviewRoute);
+app.use("/api/v1/wishlist", wishlistRoute);
+app.use("/api/v1/shipping", shippingRoute);
 
 app.use(notFoundHandler);
 app.use(errorHandler);
@@ -0,0 +1,133 @@
+import mongoose from "mongoose";
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Address, MAX_ADDRESSES_PER_USER} from "../models/address.model.js";
+import {findUserAddress, normalizeAddressInput} from "../utils/address.js";
+import {validateEnum} from "../utils/validation.js";
+
+// Address type -> flag on the address document
+const DEFAULT_FLAGS = {
+    shipping: "isDefaultShipping",
+    billing: "isDefaultBilling"
+};
+
+// Clear the other defaults first so the partial unique indexes never see two at once
+const assignDefaults = async (address, types, session) => {
+    for (const type of types) {
+        const flag = DEFAULT_FLAGS[type];
+        await Address.updateMany(
+            { user: address.user, _id: { $ne: address._id }, [flag]: true },
+            { $set: { [flag]: false } },
+            { session }
+        );
+        address[flag] = true;
+    }
+};
+
+// Requested default types from body flags, e.g. { isDefaultShipping: true }
+const requestedDefaults = (body = {}) => Object.keys(DEFAULT_FLAGS).filter(type => body[DEFAULT_FLAGS[type]] === true);
+
+const getAddresses = asyncHandler(async (req, res) => {
+    const addresses = await Address.find({ user: req.user._id })
+        .sort({ isDefaultShipping: -1, isDefaultBilling: -1, createdAt: -1 });
+
+    return res.status(200).json(
+        new ApiResponse(200, addresses, "Addresses retrieved successfully")
+    );
+});
+
+const getAddressById = asyncHandler(async (req, res) => {
+    const address = await findUserAddress(req.user._id, req.params.id);
+
+    return res.status(200).json(
+        new ApiResponse(200, address, "Address retrieved successfully")
+    );
+});
+
+const createAddress = asyncHandler(async (req, res) => {
+    const fields = normalizeAddressInput(req.body);
+
+    let address;
+    await mongoose.connection.transaction(async (session) => {
+        const count = await Address.countDocuments({ user: req.user._id }).session(session);
+        if (count >= MAX_ADDRESSES_PER_USER) {
+            throw new ApiError(400, `You can save up to ${MAX_ADDRESSES_PER_USER} addresses`);
+        }
+
+        address = new Address({ ...fields, user: req.user._id });
+
+        // The first address becomes the default for both shipping and billing
+        const types = count === 0 ? Object.keys(DEFAULT_FLAGS) : requestedDefaults(req.body);
+        await assignDefaults(address, types, session);
+
+        await address.save({ session });
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, address, "Address added successfully")
+    );
+});
+
+const updateAddress = asyncHandler(async (req, res) => {
+    let address;
+    await mongoose.connection.transaction(async (session) => {
+        address = await findUserAddress(req.user._id, req.params.id, { session });
+
+        const fields = normalizeAddressInput(req.body, { partial: true, current: address });
+        address.set(fields);
+        await assignDefaults(address, requestedDefaults(req.body), session);
+
+        await address.save({ session });
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, address, "Address updated successfully")
+    );
+});
+
+// Make an address the default for shipping, billing or both
+const setDefaultAddress = asyncHandler(async (req, res) => {
+    const types = req.body?.type ? [validateEnum(req.body.type, Object.keys(DEFAULT_FLAGS), "type")] : Object.keys(DEFAULT_FLAGS);
+
+    let address;
+    await mongoose.connection.transaction(async (session) => {
+        address = await findUserAddress(req.user._id, req.params.id, { session });
+        await assignDefaults(address, types, session);
+        await address.save({ session });
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, address, "Default address updated")
+    );
+});
+
+// Deleting a default hands the flag to the most recently added remaining address
+const deleteAddress = asyncHandler(async (req, res) => {
+    await mongoose.connection.transaction(async (session) => {
+        const address = await findUserAddress(req.user._id, req.params.id, { session });
+        await address.deleteOne({ session });
+
+        const orphaned = Object.values(DEFAULT_FLAGS).filter(flag => address[flag]);
+        if (orphaned.length === 0) return;
+
+        const successor = await Address.findOne({ user: req.user._id }).sort({ createdAt: -1 }).session(session);
+        if (successor) {
+            orphaned.forEach(flag => { successor[flag] = true; });
+            await successor.save({ session });
+        }
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Address deleted successfully")
+    );
+});
+
+export {
+    getAddresses,
+    getAddressById,
+    createAddress,
+    updateAddress,
+    setDefaultAddress,
+    deleteAddress
+};
@@ -2,117 +2,281 @@ import {asyncHandler} from "../utils/asyncHandler.js";
 
 
 import {Cart} from '../models/cart.model.js'
-import {Product} from '../models/product.model.js'
+import {Product, PRODUCT_STATUS} from '../models/product.model.js'
 import {ApiError} from "../utils/ApiError.js";
 import {ApiResponse} from "../utils/ApiResponse.js";
+import {evaluateCoupon} from "../utils/coupon.js";
+import {calculateOrderTotals, lineItemKey, roundCurrency} from "../utils/pricing.js";
+import {validateEnum, validateObjectId, validatePagination} from "../utils/validation.js";
+import {decodeOffsetCursor, encodeOffsetCursor} from "../utils/listQuery.js";
+import {abandonedCartStages, getAbandonedCartSettings, sendAbandonedCartReminders} from "../jobs/abandonedCart.job.js";
+import {PAYMENT_METHODS} from "../models/order.model.js";
+import {resolveShippingAddress} from "../utils/address.js";
+import {quoteShipping} from "../shipping/index.js";
+import {calculateTaxes, resolveTaxRates} from "../utils/tax.js";
+
+
+// Match a cart line by product and, when given, by variant
+const findCartItemIndex = (cart, productId, variantId = null) => cart.items.findIndex(item =>
+    item.product.toString() === productId &&
+    (!variantId || item.variant?.toString() === variantId)
+);
+
+const CART_WARNINGS = {
+    PRICE_CHANGED: "PRICE_CHANGED",
+    OUT_OF_STOCK: "OUT_OF_STOCK",
+    INSUFFICIENT_STOCK: "INSUFFICIENT_STOCK",
+    UNAVAILABLE: "UNAVAILABLE",
+    DISCONTINUED: "DISCONTINUED"
+};
+
+const parseQuantity = (value, { allowZero = false } = {}) => {
+    const quantity = Number(value);
+    if (!Number.isInteger(quantity) || quantity < (allowZero ? 0 : 1)) {
+        throw new ApiError(400, `Quantity must be a ${allowZero ? "non-negative" : "positive"} whole number`);
+    }
+    return quantity;
+};
 
+// Load the product behind a cart change and make sure it can be bought right now.
+// Soft-deleted products are filtered out by the product find hook.
+const loadPurchasableProduct = async (productId, variantId = null) => {
+    validateObjectId(String(productId), "Product ID");
 
-const addtoCart = asyncHandler(async (req, res) => {
-    try {
-        const { product, quantity, priceAtAddTime } = req.body;
+    const product = await Product.findById(productId);
+    if (!product) {
+        throw new ApiError(404, "Product not found");
+    }
 
-        if (!product || !priceAtAddTime) {
-            return res.status(400).json({ success: false, message: "Missing product or price" });
-        }
+    const variant = product.resolveVariant(variantId);
+    if (product.variants.length && !variant) {
+        throw new ApiError(400, "Please select a valid variant");
+    }
+    if (!product.isPurchasable(variant)) {
+        throw new ApiError(400, `${product.name} is not available for purchase`);
+    }
 
-        const userId = req.user._id;
-        let cart = await Cart.findOne({ user: userId });
+    const stock = variant ? variant.stock : product.stock;
+    if (stock <= 0) {
+        throw new ApiError(400, `${product.name} is out of stock`);
+    }
 
-        if (!cart) {
-            cart = new Cart({
-                user: userId,
-                items: [{ product, quantity, priceAtAddTime }],
+    return { product, variant, stock };
+};
+
+// Price every cart line from the catalog. Lines come back with the live unit price, the stock available
+// and warnings for anything that changed since the item was added; only purchasable lines count towards totals.
+const priceCart = async (cart) => {
+    const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } });
+    const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+    const lines = [];
+    const items = [];
+
+    for (const item of cart.items) {
+        const product = productsById.get(item.product.toString());
+        const variant = product?.resolveVariant(item.variant);
+        const warnings = [];
+
+        if (!product || product.status === PRODUCT_STATUS.DISCONTINUED || (product.variants.length && !variant)) {
+            warnings.push({ code: CART_WARNINGS.DISCONTINUED, message: "This product is no longer sold" });
+            lines.push({ product: item.product, variant: item.variant, quantity: item.quantity, priceAtAddTime: item.priceAtAddTime, unitPrice: null, lineTotal: 0, availableStock: 0, warnings });
+            continue;
+        }
+
+        const unitPrice = product.getUnitPrice(variant);
+        const stock = variant ? variant.stock : product.stock;
+        const purchasable = product.isPurchasable(variant);
+        // Sold-out products keep their line and show up through the stock cap rather than as unavailable
+        const soldOut = product.status === PRODUCT_STATUS.OUT_OF_STOCK || stock <= 0;
+
+        if (soldOut) {
+            warnings.push({ code: CART_WARNINGS.OUT_OF_STOCK, message: "This product is out of stock" });
+        } else if (!purchasable) {
+            warnings.push({ code: CART_WARNINGS.UNAVAILABLE, message: "This product is currently unavailable" });
+        } else if (item.quantity > stock) {
+            warnings.push({ code: CART_WARNINGS.INSUFFICIENT_STOCK, message: `Only ${stock} unit(s) available` });
+        }
+        if (unitPrice != null && unitPrice !== item.priceAtAddTime) {
+            warnings.push({
+                code: CART_WARNINGS.PRICE_CHANGED,
+                message: `Price ${unitPrice < item.priceAtAddTime ? "dropped" : "increased"} from ${item.priceAtAddTime} to ${unitPrice}`
             });
-        } else {
-            const existingItem = cart.items.find(
-                (item) => item.product.toString() === product
-            );
-
-            if (existingItem) {
-                existingItem.quantity += quantity;
-            } else {
-                cart.items.push({ product, quantity, priceAtAddTime });
-            }
         }
 
-        await cart.save();
-        res.status(200).json({ success: true, cart });
+        const quantity = purchasable ? Math.min(item.quantity, Math.max(stock, 0)) : 0;
+        const lineTotal = roundCurrency(unitPrice * quantity);
+
+        lines.push({
+            product: {
+                _id: product._id,
+                name: product.name,
+                slug: product.slug,
+                image: variant?.image || product.image,
+                status: product.status
+            },
+            variant: variant ? { _id: variant._id, sku: variant.sku, options: variant.options } : null,
+            quantity: item.quantity,
+            priceAtAddTime: item.priceAtAddTime,
+            unitPrice,
+            lineTotal,
+            availableStock: Math.max(stock, 0),
+            warnings
+        });
+
+        if (quantity > 0) {
+            items.push({ product: product._id, variant: item.variant, category: product.category, quantity, unitPrice, unitWeight: product.getUnitWeight(variant), taxRate: product.taxRate, totalPrice: lineTotal });
+        }
+    }
+
+    return { lines, items };
+};
 
-    } catch (err) {
-        console.error("🛑 Add to cart error:", err);
-        res.status(500).json({ success: false, message: "Server error", error: err.message });
+// Preview of the cart's coupon; a coupon that stopped applying is reported, not fatal,
+// since checkout re-validates it anyway
+const previewCoupon = async (cart, user, items) => {
+    if (!cart.couponCode || !user || !items.length) {
+        return { coupon: null, discount: 0, eligibleItems: [], couponError: null };
     }
-})
 
-const getCart = asyncHandler(async (req, res) => {
     try {
-        const userId = req.user?._id;
+        const result = await evaluateCoupon({ code: cart.couponCode, userId: user._id, items });
+        return {
+            coupon: {
+                code: result.coupon.code,
+                description: result.coupon.description,
+                type: result.coupon.type,
+                value: result.coupon.value
+            },
+            discount: result.discount,
+            eligibleItems: result.eligibleItems,
+            couponError: null
+        };
+    } catch (error) {
+        if (!(error instanceof ApiError)) throw error;
+        return { coupon: null, discount: 0, eligibleItems: [], couponError: error.message };
+    }
+};
 
-        if (!userId) {
-            return res.status(401).json({ success: false, message: "User not authenticated" });
-        }
+const isSameLine = (item, productId, variantId) => lineItemKey(item) === lineItemKey({ product: productId, variant: variantId });
 
-        const cart = await Cart.findOne({ user: userId }).populate("items.product");
+// Prices and stock always come from the catalog, never from the request
+const addtoCart = asyncHandler(async (req, res) => {
+    const { product: productId, variant: variantId = null } = req.body;
+    const quantity = parseQuantity(req.body.quantity ?? 1);
 
-        if (!cart) {
-            return res.status(404).json({ success: false, message: "Cart not found" });
-        }
+    if (!productId) {
+        throw new ApiError(400, "Product ID is required");
+    }
+
+    const { product, variant, stock } = await loadPurchasableProduct(productId, variantId);
 
-        res.status(200).json({ success: true, cart });
-    } catch (err) {
-        console.error("❌ Error fetching cart:", err);
-        res.status(500).json({ success: false, message: "Server error", error: err.message });
+    const cart = await Cart.findOne(req.cartOwner) || new Cart({ ...req.cartOwner });
+    const existingItem = cart.items.find(item => isSameLine(item, product._id, variant?._id));
+    const requested = (existingItem?.quantity || 0) + quantity;
+    const finalQuantity = Math.min(requested, stock);
+
+    if (existingItem) {
+        existingItem.quantity = finalQuantity;
+        existingItem.priceAtAddTime = product.getUnitPrice(variant);
+    } else {
+        cart.items.push({
+            product: product._id,
+            variant: variant?._id || null,
+            quantity: finalQuantity,
+            priceAtAddTime: product.getUnitPrice(variant)
+        });
+    }
+
+    await cart.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, cart, finalQuantity < requested
+            ? `Only ${stock} unit(s) of ${product.name} available; quantity adjusted`
+            : "Product added to cart")
+    );
+})
+
+// Live view of the cart: current prices, per-line warnings and a preview of the applied coupon
+const getCart = asyncHandler(async (req, res) => {
+    const cart = await Cart.findOne(req.cartOwner);
+
+    if (!cart) {
+        return res.status(200).json(
+            new ApiResponse(200, { items: [], totalItems: 0, coupon: null, ...calculateOrderTotals([]) }, "Cart is empty")
+        );
     }
+
+    const { lines, items } = await priceCart(cart);
+    const { coupon, discount, couponError } = await previewCoupon(cart, req.user, items);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            _id: cart._id,
+            items: lines,
+            totalItems: items.reduce((total, item) => total + item.quantity, 0),
+            hasWarnings: lines.some(line => line.warnings.length > 0),
+            couponCode: cart.couponCode,
+            coupon,
+            couponError,
+            ...calculateOrderTotals(items, { discount })
+        }, "Cart retrieved successfully")
+    );
 })
 
 const updateCart = asyncHandler(async (req, res) => {
     const { quantity } = req.body;
     const productId = req.params.id; // ✅ now coming from URL
-    const userId = req.user._id;
+    const variantId = req.query.variant || req.body.variant || null;
 
-    if (!productId || quantity < 0) {
-        throw new ApiError(400, "Invalid product ID or quantity");
+    if (!productId) {
+        throw new ApiError(400, "Product ID is required");
     }
+    const requested = parseQuantity(quantity, { allowZero: true });
 
-    const cart = await Cart.findOne({ user: userId });
+    const cart = await Cart.findOne(req.cartOwner);
     if (!cart) throw new ApiError(404, "Cart not found");
 
-    const itemIndex = cart.items.findIndex(item =>
-        item.product.toString() === productId
-    );
+    const itemIndex = findCartItemIndex(cart, productId, variantId);
 
     if (itemIndex === -1) throw new ApiError(404, "Product not found in cart");
 
-    if (quantity === 0) {
+    let message = "Cart updated successfully";
+    if (requested === 0) {
         cart.items.splice(itemIndex, 1);
     } else {
-        cart.items[itemIndex].quantity = quantity;
+        const item = cart.items[itemIndex];
+        const { product, variant, stock } = await loadPurchasableProduct(item.product, item.variant);
+
+        item.quantity = Math.min(requested, stock);
+        item.priceAtAddTime = product.getUnitPrice(variant);
+        if (item.quantity < requested) {
+            message = `Only ${stock} unit(s) of ${product.name} available; quantity adjusted`;
+        }
     }
 
     await cart.save();
 
     return res.status(200).json(
-        new ApiResponse(200, cart, "Cart updated successfully")
+        new ApiResponse(200, cart, message)
     );
 });
 
 const removeFromCart = asyncHandler(async (req, res) => {
     const productId = req.params.id;
-    const userId = req.user._id;
+    const variantId = req.query.variant || null;
 
     if (!productId) {
         throw new ApiError(400, "Product ID is required");
     }
 
-    const cart = await Cart.findOne({ user: userId });
+    const cart = await Cart.findOne(req.cartOwner);
 
     if (!cart) {
         throw new ApiError(404, "Cart not found");
     }
 
-    const itemIndex = cart.items.findIndex(item =>
-        item.product.toString() === productId
-    );
+    const itemIndex = findCartItemIndex(cart, productId, variantId);
 
     if (itemIndex === -1) {
         throw new ApiError(404, "Product not found in cart");
@@ -127,16 +291,13 @@ const removeFromCart = asyncHandler(async (req, res) => {
 });
 
 const clearCart = asyncHandler(async (req, res) => {
-    console.log("🔥 Clear cart function called for user:", req.user._id);
-
-    const userId = req.user._id;
-
-    const cart = await Cart.findOne({ user: userId });
+    const cart = await Cart.findOne(req.cartOwner);
     if (!cart) {
         throw new ApiError(404, "Cart not found");
     }
 
     cart.items = [];
+    cart.couponCode = null;
     cart.totalItems = 0;
     cart.totalPrice = 0;
 
@@ -147,11 +308,163 @@ const clearCart = asyncHandler(async (req, res) => {
     );
 })
 
+const applyCoupon = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+    const userId = req.user._id;
+
+    if (!code?.trim()) {
+        throw new ApiError(400, "Coupon code is required");
+    }
+
+    const cart = await Cart.findOne({ user: userId });
+    if (!cart || cart.items.length === 0) {
+        throw new ApiError(400, "Cart is empty");
+    }
+
+    const { items } = await priceCart(cart);
+    if (items.length === 0) {
+        throw new ApiError(400, "None of the items in your cart can be purchased right now");
+    }
+    const { coupon, discount } = await evaluateCoupon({ code, userId, items });
+
+    cart.couponCode = coupon.code;
+    await cart.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            cart,
+            coupon: {
+                code: coupon.code,
+                description: coupon.description,
+                type: coupon.type,
+                value: coupon.value
+            },
+            ...calculateOrderTotals(items, { discount })
+        }, "Coupon applied successfully")
+    );
+});
+
+const removeCoupon = asyncHandler(async (req, res) => {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+        throw new ApiError(404, "Cart not found");
+    }
+
+    cart.couponCode = null;
+    await cart.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, cart, "Coupon removed successfully")
+    );
+});
+
+// Shipping fee for the current cart to a saved address (addressId), a typed-in address or the
+// default shipping address; the same rules are applied again when the order is placed
+const getShippingQuote = asyncHandler(async (req, res) => {
+    const { addressId, address, paymentMethod } = req.body ?? {};
+
+    if (paymentMethod !== undefined) {
+        validateEnum(paymentMethod, PAYMENT_METHODS, "paymentMethod");
+    }
+
+    const cart = await Cart.findOne(req.cartOwner);
+    if (!cart || cart.items.length === 0) {
+        throw new ApiError(400, "Cart is empty");
+    }
+
+    const { items } = await priceCart(cart);
+    if (items.length === 0) {
+        throw new ApiError(400, "None of the items in your cart can be purchased right now");
+    }
+
+    const { address: shippingAddress } = await resolveShippingAddress(req.user?._id, { addressId, address });
+    const { coupon, discount, eligibleItems, couponError } = await previewCoupon(cart, req.user, items);
+    const shipping = await quoteShipping({ address: shippingAddress, items, discount, paymentMethod });
+
+    // Same tax calculation as checkout, so the quoted total matches the order
+    const taxRates = await resolveTaxRates(items.map(item => ({ _id: item.product, category: item.category, taxRate: item.taxRate })));
+    const tax = calculateTaxes(
+        items.map(item => ({ ...item, taxRate: taxRates.get(item.product.toString()) })),
+        { discount, discountedItems: eligibleItems, address: shippingAddress }
+    );
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            shippingAddress,
+            shipping,
+            coupon,
+            couponError,
+            tax: {
+                type: tax.taxType,
+                pricesIncludeTax: tax.pricesIncludeTax,
+                breakdown: tax.taxBreakdown
+            },
+            ...calculateOrderTotals(items, { discount, shippingFee: shipping.fee, tax })
+        }, "Shipping quote calculated")
+    );
+});
+
+// Admin report of abandoned carts, most valuable first
+const getAbandonedCarts = asyncHandler(async (req, res) => {
+    const settings = getAbandonedCartSettings();
+    const abandonAfterHours = req.query.hours !== undefined ? Number(req.query.hours) : settings.abandonAfterHours;
+    if (!Number.isFinite(abandonAfterHours) || abandonAfterHours < 0) {
+        throw new ApiError(400, "hours must be a non-negative number");
+    }
+
+    const { limit } = validatePagination(req.query, { defaultSort: "totalPrice", allowedSortFields: ["totalPrice"] });
+    const offset = decodeOffsetCursor(req.query.cursor);
+
+    const [result] = await Cart.aggregate([
+        ...abandonedCartStages({ abandonAfterHours }),
+        {
+            $facet: {
+                items: [
+                    { $sort: { totalPrice: -1, _id: 1 } },
+                    { $skip: offset },
+                    { $limit: limit + 1 },
+                    { $project: { items: 0 } }
+                ],
+                summary: [
+                    { $group: { _id: null, total: { $sum: 1 }, totalValue: { $sum: "$totalPrice" } } }
+                ]
+            }
+        }
+    ]);
+
+    const hasMore = result.items.length > limit;
+    const summary = result.summary[0] || { total: 0, totalValue: 0 };
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            items: hasMore ? result.items.slice(0, limit) : result.items,
+            nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null,
+            total: summary.total,
+            totalValue: roundCurrency(summary.totalValue),
+            abandonAfterHours
+        }, "Abandoned carts retrieved successfully")
+    );
+});
+
+// Send due reminders now instead of waiting for the next scheduled run
+const remindAbandonedCarts = asyncHandler(async (req, res) => {
+    const result = await sendAbandonedCartReminders();
+
+    return res.status(200).json(
+        new ApiResponse(200, result, "Abandoned cart reminders processed")
+    );
+});
+
 export {
+    getAbandonedCarts,
+    remindAbandonedCarts,
     addtoCart,
     getCart,
     updateCart,
     removeFromCart,
-    clearCart
+    clearCart,
+    applyCoupon,
+    removeCoupon,
+    getShippingQuote
 }
 
@@ -1,20 +1,41 @@
+import mongoose from "mongoose";
 import {Category} from "../models/category.model.js";
+import {Product} from "../models/product.model.js";
 import {asyncHandler} from "../utils/asyncHandler.js";
 import slugify from "slugify";
 import {ApiResponse} from "../utils/ApiResponse.js";
+import {ApiError} from "../utils/ApiError.js";
+import {validateObjectId} from "../utils/validation.js";
+import {listDocuments} from "../utils/listQuery.js";
+import {parseTaxRate} from "../utils/tax.js";
 
 
+// Hook errors (unknown parent, cycles, duplicate names) are client mistakes
+const saveCategory = async (category, options) => {
+    try {
+        return await category.save(options);
+    } catch (error) {
+        // Write conflicts inside a transaction must reach the transaction helper so it can retry
+        if (error.hasErrorLabel?.("TransientTransactionError")) {
+            throw error;
+        }
+        throw new ApiError(error.code === 11000 ? 409 : 400, error.code === 11000 ? "Category name already exists" : error.message);
+    }
+}
+
 const createCategory = asyncHandler(async (req, res) => {
-    const{name, description} = req.body;
+    const{name, description, parent, taxRate} = req.body;
     if (!name){
         throw new Error("Name is required")
     }
     const slug = slugify(name,{ lower: true, strict: true });
-    const category = await Category.create({
+    const category = await saveCategory(new Category({
         name,
         slug,
-        description
-    });
+        description,
+        parent: parent ? validateObjectId(parent, "Parent category ID") : null,
+        taxRate: parseTaxRate(taxRate) ?? null
+    }));
     return res.status(201).json(
         new ApiResponse(201, category, "Category created Successfully")
     );
@@ -22,9 +43,52 @@ const createCategory = asyncHandler(async (req, res) => {
 })
 
 const getAllCategories = asyncHandler(async (req, res) => {  // asyncHandler add karo
-    const categories = await Category.find().select("-__v");
+    const categories = await listDocuments(Category, {}, req.query, {
+        sortFields: ["createdAt", "updatedAt", "name"],
+        defaultSort: "name",
+        defaultLimit: 50,
+        selectableFields: ["name", "slug", "description", "parent", "ancestors", "taxRate", "createdAt", "updatedAt"]
+    });
+    return res.status(200).json(
+        new ApiResponse(200, categories, "Categories fetched successfully")
+    );
+});
+
+// Nested hierarchy built in memory from one query
+const getCategoryTree = asyncHandler(async (req, res) => {
+    const categories = await Category.find().select("name slug description parent").sort({ name: 1 }).lean();
+
+    const nodes = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+    const tree = [];
+
+    for (const node of nodes.values()) {
+        const parent = node.parent && nodes.get(node.parent.toString());
+        if (parent) {
+            parent.children.push(node);
+        } else {
+            tree.push(node);
+        }
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, tree, "Category tree fetched successfully")
+    );
+});
+
+const getCategoryBreadcrumbs = asyncHandler(async (req, res) => {
+    const { slug } = req.params;
+    const category = await Category.findOne({ slug });
+    if (!category) {
+        throw new ApiError(404, "Category not found");
+    }
+
+    const breadcrumbs = [
+        ...category.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+        { _id: category._id, name: category.name, slug: category.slug }
+    ];
+
     return res.status(200).json(
-        new ApiResponse(200, { categories }, "Categories fetched successfully")
+        new ApiResponse(200, breadcrumbs, "Breadcrumbs fetched successfully")
     );
 });
 
@@ -41,21 +105,38 @@ const getCategoryById = asyncHandler(async (req, res) => {
 
 const updateCategory = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { name, description } = req.body;
+    const { name, description, parent, taxRate } = req.body;
 
     if (!name) {
         throw new Error("Name is required");
     }
 
+    const category = await Category.findById(id).select("-__v");
+    if (!category) {
+        throw new Error("Category not found");
+    }
+
+    const previousName = category.name;
     const slug = slugify(name, { lower: true, strict: true });
-    const updatedCategory = await Category.findByIdAndUpdate(
-        id,
-        { name, slug, description },
-        { new: true }
-    ).select("-__v");
+    const pathChanged = category.slug !== slug || category.name !== name ||
+        (parent !== undefined && String(category.parent) !== String(parent || null));
 
-    if (!updatedCategory) {
-        throw new Error("Category not found");
+    category.set({ name, slug, description });
+    if (taxRate !== undefined) {
+        category.taxRate = parseTaxRate(taxRate);
+    }
+    if (parent !== undefined) {
+        category.parent = parent ? validateObjectId(parent, "Parent category ID") : null;
+    }
+    const updatedCategory = await saveCategory(category);
+
+    // Descendants store this category's name and slug in their paths
+    if (pathChanged) {
+        await Category.refreshDescendantPaths(updatedCategory);
+    }
+    // Products copy the category name into their search fields
+    if (previousName !== updatedCategory.name) {
+        await Product.refreshSearchFields({ category: updatedCategory._id });
     }
 
     return res.status(200).json(
@@ -63,14 +144,52 @@ const updateCategory = asyncHandler(async (req, res) => {
     );
 })
 
+// Refuses to orphan subcategories or products unless a target category is given to take them over
 const deleteCategory = asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const deletedCategory = await Category.findByIdAndDelete(id).select("-__v");
+    const reassignTo = req.query.reassignTo || req.body?.reassignTo;
 
-    if (!deletedCategory) {
-        throw new Error("Category not found");
+    const category = await Category.findById(id);
+    if (!category) {
+        throw new ApiError(404, "Category not found");
     }
 
+    // Moving products and subcategories and deleting the category succeed or fail together
+    await mongoose.connection.transaction(async (session) => {
+        // Soft-deleted products still reference their category, so count them too
+        // Sequential: operations sharing a session must not run in parallel
+        const childCount = await Category.countDocuments({ parent: id }).session(session);
+        const productCount = await Product.countDocuments({ category: id }).session(session);
+
+        if ((childCount || productCount) && !reassignTo) {
+            throw new ApiError(409, `Category still has ${childCount} subcategories and ${productCount} products. ` +
+                "Move them first or pass reassignTo with a target category ID");
+        }
+
+        if (reassignTo) {
+            validateObjectId(reassignTo, "Target category ID");
+            const target = await Category.findById(reassignTo).session(session);
+            if (!target) {
+                throw new ApiError(404, "Target category not found");
+            }
+            if (target._id.equals(category._id) || target.ancestors.some(ancestor => ancestor._id.equals(category._id))) {
+                throw new ApiError(400, "Target category cannot be the category itself or one of its subcategories");
+            }
+
+            await Product.updateMany({ category: id }, { $set: { category: target._id } }, { session });
+            await Product.refreshSearchFields({ category: target._id }, { session });
+
+            const children = await Category.find({ parent: id }).session(session);
+            for (const child of children) {
+                child.parent = target._id;
+                await saveCategory(child, { session });
+                await Category.refreshDescendantPaths(child, { session });
+            }
+        }
+
+        await Category.findByIdAndDelete(id, { session });
+    });
+
     return res.status(200).json(
         new ApiResponse(200, {}, "Category deleted successfully")
     );
@@ -79,7 +198,9 @@ const deleteCategory = asyncHandler(async (req, res) => {
 export {
     createCategory,
     getAllCategories,
+    getCategoryTree,
+    getCategoryBreadcrumbs,
     getCategoryById,
     updateCategory,
     deleteCategory
-};
\ No newline at end of file
+};
@@ -0,0 +1,119 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Coupon} from "../models/coupon.model.js";
+import {listDocuments} from "../utils/listQuery.js";
+
+// Fields an admin may set; usedCount is only ever changed by checkout
+const COUPON_FIELDS = [
+    "code",
+    "description",
+    "type",
+    "value",
+    "maxDiscount",
+    "minCartValue",
+    "usageLimit",
+    "perUserLimit",
+    "startsAt",
+    "expiresAt",
+    "isActive",
+    "applicableCategories",
+    "applicableProducts"
+];
+
+const pickCouponFields = (body) => Object.fromEntries(
+    COUPON_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const createCoupon = asyncHandler(async (req, res) => {
+    const { code, type, value } = req.body;
+
+    if (!code?.trim() || !type || value == null) {
+        throw new ApiError(400, "Code, type and value are required");
+    }
+
+    const existing = await Coupon.findByCode(code);
+    if (existing) {
+        throw new ApiError(409, "A coupon with this code already exists");
+    }
+
+    const coupon = await Coupon.create({
+        ...pickCouponFields(req.body),
+        createdBy: req.user._id
+    });
+
+    return res.status(201).json(
+        new ApiResponse(201, coupon, "Coupon created successfully")
+    );
+});
+
+const getAllCoupons = asyncHandler(async (req, res) => {
+    const { active } = req.query;
+
+    const filter = {};
+    if (active !== undefined) filter.isActive = active === "true";
+
+    const coupons = await listDocuments(Coupon, filter, req.query, {
+        sortFields: ["createdAt", "updatedAt", "code", "expiresAt", "usedCount"],
+        selectableFields: ["code", "description", "type", "value", "maxDiscount", "minCartValue", "usageLimit",
+            "perUserLimit", "usedCount", "startsAt", "expiresAt", "isActive", "createdAt"]
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, coupons, "Coupons retrieved successfully")
+    );
+});
+
+const getCouponById = asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id)
+        .populate("applicableCategories", "name")
+        .populate("applicableProducts", "name sku");
+
+    if (!coupon) {
+        throw new ApiError(404, "Coupon not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, coupon, "Coupon retrieved successfully")
+    );
+});
+
+const updateCoupon = asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+        throw new ApiError(404, "Coupon not found");
+    }
+
+    // Assign and save so the cross-field checks in pre('validate') run
+    coupon.set(pickCouponFields(req.body));
+    await coupon.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, coupon, "Coupon updated successfully")
+    );
+});
+
+// Coupons referenced by orders are kept for history, so deleting only deactivates them
+const deleteCoupon = asyncHandler(async (req, res) => {
+    const coupon = await Coupon.findByIdAndUpdate(
+        req.params.id,
+        { $set: { isActive: false } },
+        { new: true }
+    );
+
+    if (!coupon) {
+        throw new ApiError(404, "Coupon not found");
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Coupon deactivated successfully")
+    );
+});
+
+export {
+    createCoupon,
+    getAllCoupons,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon
+};
@@ -1,8 +1,54 @@
+import mongoose from "mongoose";
 import {asyncHandler} from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js";
 import {Cart} from "../models/cart.model.js";
 import {ApiResponse} from "../utils/ApiResponse.js";
-import {Order, ORDER_STATUS, PAYMENT_STATUS} from "../models/order.model.js";
+import {Order, ORDER_STATUS, ORDER_STATUS_TRANSITIONS, PAYMENT_STATUS} from "../models/order.model.js";
+import {Product} from "../models/product.model.js";
+import {escapeRegex, validateEnum, validateObjectId} from "../utils/validation.js";
+import {listDocuments} from "../utils/listQuery.js";
+import {calculateOrderTotals, mergeLineItems, roundCurrency} from "../utils/pricing.js";
+import {InventoryMovement, MOVEMENT_REASONS} from "../models/inventoryMovement.model.js";
+import {restockItems} from "../utils/inventory.js";
+import {evaluateCoupon, redeemCoupon, releaseCoupon} from "../utils/coupon.js";
+import {initiatePayment, requiresOnlinePayment} from "../payments/index.js";
+import {Address} from "../models/address.model.js";
+import {findUserAddress, resolveShippingAddress} from "../utils/address.js";
+import {quoteShipping} from "../shipping/index.js";
+import {calculateTaxes, resolveTaxRates} from "../utils/tax.js";
+
+const ORDER_LIST_OPTIONS = {
+    sortFields: ['createdAt', 'updatedAt', 'totalAmount'],
+    selectableFields: [
+        'orderNumber', 'user', 'items', 'shippingAddress', 'billingAddress', 'paymentMethod', 'paymentStatus',
+        'orderStatus', 'subtotal', 'discount', 'shippingFee', 'taxAmount', 'totalAmount', 'trackingNumber',
+        'estimatedDelivery', 'createdAt', 'updatedAt'
+    ]
+}
+
+// Order statuses that hand reserved units back to stock, mapped to the movement reason
+const STOCK_RESTORING_STATUS = {
+    cancelled: MOVEMENT_REASONS.CANCEL,
+    returned: MOVEMENT_REASONS.RETURN
+}
+
+// Shipping address from an address book entry, a typed-in address or the default shipping address,
+// plus a billing snapshot when billing goes to a different saved address
+const resolveOrderAddresses = async (userId, { addressId, billingAddressId, shippingAddress }) => {
+    const { address: shipping, entry: shippingEntry } = await resolveShippingAddress(userId, { addressId, address: shippingAddress });
+
+    const billingEntry = billingAddressId
+        ? await findUserAddress(userId, billingAddressId, { field: "Billing address ID" })
+        : await Address.findOne({ user: userId, isDefaultBilling: true });
+
+    const billingDiffers = billingEntry && !billingEntry._id.equals(shippingEntry?._id);
+
+    return {
+        shippingAddress: shipping,
+        billingAddress: billingDiffers ? billingEntry.toSnapshot() : undefined,
+        addressId: shippingEntry?._id ?? null
+    };
+};
 
 
 const createOrder = asyncHandler(async (req, res) => {
@@ -14,62 +60,181 @@ const createOrder = asyncHandler(async (req, res) => {
 
         const {
             shippingAddress,
+            addressId,
+            billingAddressId,
             paymentMethod,
-            totalAmount,
             notes,
             items: bodyItems,
+            couponCode,
             fromCart = true
         } = req.body;
 
-        let items = [];
+        const addresses = await resolveOrderAddresses(userId, { addressId, billingAddressId, shippingAddress });
 
-        if (fromCart) {
-            const cart = await Cart.findOne({ user: userId }).populate("items.product");
-            if (!cart || cart.items.length === 0) {
-                throw new ApiError(400, "Cart is empty");
-            }
+        let order;
 
-            items = cart.items.map(item => ({
-                product: item.product._id,
-                quantity: item.quantity,
-                unitPrice: item.product.sellingPrice,
-                totalPrice: item.product.sellingPrice * item.quantity
-            }));
+        // Stock reservation, order creation and cart clearing succeed or fail together
+        await mongoose.connection.transaction(async (session) => {
+            let requestedItems;
+            let appliedCouponCode = couponCode;
 
-        } else {
-            if (!bodyItems || bodyItems.length === 0) {
-                throw new ApiError(400, "No items provided");
+            if (fromCart) {
+                const cart = await Cart.findOne({ user: userId }).session(session);
+                if (!cart || cart.items.length === 0) {
+                    throw new ApiError(400, "Cart is empty");
+                }
+                requestedItems = cart.items;
+                appliedCouponCode = couponCode ?? cart.couponCode;
+            } else {
+                if (!bodyItems || bodyItems.length === 0) {
+                    throw new ApiError(400, "No items provided");
+                }
+                // Only product and quantity are taken from the client, prices come from the catalog
+                requestedItems = bodyItems;
             }
-            items = bodyItems.map(item => ({
-                product: item.product,
-                quantity: item.quantity,
-                unitPrice: item.sellingPrice,
-                totalPrice: item.sellingPrice * item.quantity
-            }));
-        }
 
-        // 🔹 Generate unique Order Number
-        const orderNumber = `ORD-${Date.now()}`;
+            const lines = mergeLineItems(requestedItems);
+            const productIds = lines.map(line => validateObjectId(line.product, "Product ID"));
 
-        const order = await Order.create({
-            user: userId,
-            orderNumber,
-            items,
-            shippingAddress,
-            paymentMethod,
-            totalAmount,
-            notes
+            const products = await Product.find({ _id: { $in: productIds } }).session(session);
+            const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+            const items = lines.map(line => {
+                const product = productMap.get(line.product);
+
+                if (!product) {
+                    throw new ApiError(404, `Product ${line.product} is no longer available`);
+                }
+
+                const variant = product.resolveVariant(line.variant);
+                if (product.variants.length && (!variant || !variant.isActive)) {
+                    throw new ApiError(409, `Please choose an available option for ${product.name}`);
+                }
+
+                const name = variant ? `${product.name} (${variant.label})` : product.name;
+                const unitPrice = product.getUnitPrice(variant);
+                const available = variant ? variant.stock : product.stock;
+
+                if (!product.isPurchasable(variant)) {
+                    throw new ApiError(409, `${name} is not available for purchase`);
+                }
+                if (available < line.quantity) {
+                    throw new ApiError(409, `Only ${available} unit(s) of ${name} left in stock`);
+                }
+
+                return {
+                    product: product._id,
+                    variant: variant?._id ?? null,
+                    variantSku: variant?.sku ?? null,
+                    variantOptions: variant?.options,
+                    quantity: line.quantity,
+                    unitPrice,
+                    unitWeight: product.getUnitWeight(variant),
+                    totalPrice: roundCurrency(unitPrice * line.quantity),
+                    stockAfter: available - line.quantity
+                };
+            });
+
+            // Conditional decrement: a concurrent checkout that took the last units makes this fail
+            const stockResult = await Product.bulkUpdateStock(
+                items.map(item => ({ _id: item.product, variant: item.variant, quantity: item.quantity })),
+                { session }
+            );
+            if (stockResult.modifiedCount !== items.length) {
+                throw new ApiError(409, "Some items went out of stock while placing the order");
+            }
+            await Product.markSoldOut(productIds, { session });
+
+            // Coupons are re-validated against the server-side prices, never taken from the cart as-is
+            let coupon = null;
+            let discount = 0;
+            let discountedItems = items;
+            if (appliedCouponCode) {
+                ({ coupon, discount, eligibleItems: discountedItems } = await evaluateCoupon({
+                    code: appliedCouponCode,
+                    userId,
+                    items: items.map(item => ({
+                        ...item,
+                        category: productMap.get(item.product.toString()).category
+                    })),
+                    session
+                }));
+                await redeemCoupon(coupon, session);
+            }
+
+            // Tax is charged on each line after its share of the discount; only lines the coupon covers share it
+            const taxRates = await resolveTaxRates(products);
+            const tax = calculateTaxes(
+                items.map(item => ({ ...item, taxRate: taxRates.get(item.product.toString()) })),
+                { discount, discountedItems, address: addresses.shippingAddress }
+            );
+
+            // The fee is always worked out here from the shipping rules, never taken from the client
+            const shipping = await quoteShipping({ address: addresses.shippingAddress, items, discount, paymentMethod });
+            const totals = calculateOrderTotals(items, { discount, shippingFee: shipping.fee, tax });
+
+            // 🔹 Generate unique Order Number
+            const orderNumber = `ORD-${Date.now()}`;
+
+            [order] = await Order.create([{
+                user: userId,
+                orderNumber,
+                items: tax.items,
+                ...addresses,
+                paymentMethod,
+                ...totals,
+                taxBreakdown: tax.taxBreakdown,
+                taxType: tax.taxType,
+                pricesIncludeTax: tax.pricesIncludeTax,
+                sellerState: tax.sellerState,
+                shippingZone: shipping.zone,
+                coupon: coupon?._id ?? null,
+                couponCode: coupon?.code ?? null,
+                notes
+            }], { session });
+
+            await InventoryMovement.record(items.map(item => ({
+                product: item.product,
+                variant: item.variant,
+                delta: -item.quantity,
+                stockAfter: item.stockAfter,
+                reason: MOVEMENT_REASONS.SALE,
+                order: order._id,
+                actor: userId
+            })), { session });
+
+            if (fromCart) {
+                await Cart.updateOne(
+                    { user: userId },
+                    { $set: { items: [], totalPrice: 0, totalItems: 0, couponCode: null } },
+                    { session }
+                );
+            }
         });
 
-        if (fromCart) {
-            await Cart.findOneAndUpdate({ user: userId }, { items: [] });
+        // Gateway call happens outside the transaction; if it fails the client can retry
+        // through POST /payments/orders/:id/intent without losing the reserved stock
+        let payment = null;
+        if (requiresOnlinePayment(order.paymentMethod)) {
+            try {
+                payment = await initiatePayment(order);
+            } catch (paymentError) {
+                console.error("Error creating payment intent:", paymentError);
+            }
         }
 
         // ✅ Return clean response for frontend
         return res.status(201).json(
             new ApiResponse(201, {
                 _id: order._id,
-                orderNumber: order.orderNumber
+                orderNumber: order.orderNumber,
+                subtotal: order.subtotal,
+                discount: order.discount,
+                shippingFee: order.shippingFee,
+                taxAmount: order.taxAmount,
+                taxBreakdown: order.taxBreakdown,
+                totalAmount: order.totalAmount,
+                payment
             }, "Order created successfully")
         );
 
@@ -80,6 +245,11 @@ const createOrder = asyncHandler(async (req, res) => {
                 .status(error.statusCode)
                 .json(new ApiResponse(error.statusCode, null, error.message));
         }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res
+                .status(400)
+                .json(new ApiResponse(400, null, error.message));
+        }
         return res
             .status(500)
             .json(new ApiResponse(500, null, "Internal Server Error"));
@@ -93,7 +263,9 @@ const getOrderById = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Order ID is required");
     }
 
-    const order = await Order.findOne({ _id: id, user: req.user._id }).populate('items.product', 'name price');
+    const order = await Order.findOne({ _id: id, user: req.user._id })
+        .populate('items.product', 'name price')
+        .populate('statusHistory.changedBy', 'fullName role');
 
     if (!order) {
         throw new ApiError(404, "Order not found");
@@ -106,49 +278,72 @@ const getOrderById = asyncHandler(async (req, res) => {
 
 const getAllOrders = asyncHandler(async (req, res) => {
 
-    const { page = 1, limit = 20, status, paymentStatus, search } = req.query
+    const { status, paymentStatus, search } = req.query
 
     const filter = {}
-    if (status) filter.orderStatus = status
-    if (paymentStatus) filter.paymentStatus = paymentStatus
-    if (search) filter.orderNumber = { $regex: search, $options: 'i' }
-
-    const orders = await Order.find(filter)
-        .populate('user', 'name email phone')
-        .populate('items.product', 'name price')
-        .sort({ createdAt: -1 })
-        .limit(limit * 1)
-        .skip((page - 1) * limit)
-        .lean();
-
-    const total = await Order.countDocuments(filter)
-
-    res.json(new ApiResponse(200, {
-        orders,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        total
-    }, "All orders retrieved successfully"))
+    if (status) filter.orderStatus = validateEnum(status, ORDER_STATUS, 'status')
+    if (paymentStatus) filter.paymentStatus = validateEnum(paymentStatus, PAYMENT_STATUS, 'paymentStatus')
+    if (search) filter.orderNumber = { $regex: escapeRegex(search), $options: 'i' }
+
+    const orders = await listDocuments(Order, filter, req.query, {
+        ...ORDER_LIST_OPTIONS,
+        populate: [
+            { path: 'user', select: 'fullName email' },
+            { path: 'items.product', select: 'name sellingPrice' }
+        ]
+    })
+
+    res.json(new ApiResponse(200, orders, "All orders retrieved successfully"))
 })
 
 const updateOrderStatus = asyncHandler(async (req, res) => {
     const { id } = req.params
-    const { status, trackingNumber, estimatedDelivery } = req.body
+    const { status, trackingNumber, estimatedDelivery, note } = req.body
 
     if (!ORDER_STATUS.includes(status)) {
         throw new ApiError(400, "Invalid order status")
     }
 
-    const order = await Order.findById(id)
-    if (!order) {
-        throw new ApiError(404, "Order not found")
-    }
+    let order
 
-    order.orderStatus = status
-    if (trackingNumber) order.trackingNumber = trackingNumber
-    if (estimatedDelivery) order.estimatedDelivery = estimatedDelivery
+    await mongoose.connection.transaction(async (session) => {
+        order = await Order.findById(id).session(session)
+        if (!order) {
+            throw new ApiError(404, "Order not found")
+        }
 
-    await order.save()
+        const previousStatus = order.orderStatus
+        if (!order.canTransitionTo(status)) {
+            const allowed = ORDER_STATUS_TRANSITIONS[previousStatus]
+            throw new ApiError(409, `Cannot change order status from '${previousStatus}' to '${status}'. ` +
+                (allowed.length ? `Allowed: ${allowed.join(', ')}` : `'${previousStatus}' is a final status`))
+        }
+
+        order.transitionTo(status, { changedBy: req.user._id, note })
+        if (trackingNumber) order.trackingNumber = trackingNumber
+        if (estimatedDelivery) order.estimatedDelivery = estimatedDelivery
+
+        // Units go back on the shelf the first time an order leaves the fulfilment flow,
+        // minus any a refund already restocked
+        const leavesFulfilment = Boolean(STOCK_RESTORING_STATUS[status] && !STOCK_RESTORING_STATUS[previousStatus])
+        const toRestock = leavesFulfilment ? order.claimRestock() : []
+
+        await order.save({ session })
+
+        // ...and the coupon use goes back to the coupon's usage limit
+        if (leavesFulfilment && order.coupon) {
+            await releaseCoupon(order.coupon, session)
+        }
+
+        if (toRestock.length) {
+            await restockItems(toRestock, {
+                reason: STOCK_RESTORING_STATUS[status],
+                order: order._id,
+                actor: req.user._id,
+                session
+            })
+        }
+    })
 
     res.json(new ApiResponse(200, order, "Order status updated successfully"))
 })
@@ -172,46 +367,55 @@ const deleteOrder = asyncHandler(async (req, res) => {
 });
 
 const getUserOrders = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 10, status } = req.query
+    const { status } = req.query
     const userId = req.user._id
 
     const filter = { user: userId }
-    if (status) filter.orderStatus = status
-
-    const orders = await Order.find(filter)
-        .populate('items.product', 'name images price')
-        .sort({ createdAt: -1 })
-        .limit(limit * 1)
-        .skip((page - 1) * limit)
+    if (status) filter.orderStatus = validateEnum(status, ORDER_STATUS, 'status')
 
-    const total = await Order.countDocuments(filter)
+    const orders = await listDocuments(Order, filter, req.query, {
+        ...ORDER_LIST_OPTIONS,
+        defaultLimit: 10,
+        populate: { path: 'items.product', select: 'name image sellingPrice' }
+    })
 
-    res.json(new ApiResponse(200, {
-        orders,
-        totalPages: Math.ceil(total / limit),
-        currentPage: page,
-        total
-    }, "Orders retrieved successfully"))
+    res.json(new ApiResponse(200, orders, "Orders retrieved successfully"))
 });
 
 const cancelOrder = asyncHandler(async (req, res) => {
-    const { orderId } = req.params
+    const { id } = req.params
     const { cancelReason } = req.body
     const userId = req.user._id
 
-    const order = await Order.findOne({ _id: orderId, user: userId })
+    let order
 
-    if (!order) {
-        throw new ApiError(404, "Order not found")
-    }
+    await mongoose.connection.transaction(async (session) => {
+        order = await Order.findOne({ _id: id, user: userId }).session(session)
 
-    if (!order.canBeCancelled()) {
-        throw new ApiError(400, "Order cannot be cancelled at this stage")
-    }
+        if (!order) {
+            throw new ApiError(404, "Order not found")
+        }
 
-    order.orderStatus = 'cancelled'
-    order.cancelReason = cancelReason
-    await order.save()
+        if (!order.canBeCancelled()) {
+            throw new ApiError(400, "Order cannot be cancelled at this stage")
+        }
+
+        order.transitionTo('cancelled', { changedBy: userId, note: cancelReason })
+        order.cancelReason = cancelReason
+        const toRestock = order.claimRestock()
+        await order.save({ session })
+
+        if (order.coupon) {
+            await releaseCoupon(order.coupon, session)
+        }
+
+        await restockItems(toRestock, {
+            reason: MOVEMENT_REASONS.CANCEL,
+            order: order._id,
+            actor: userId,
+            session
+        })
+    })
 
     res.json(new ApiResponse(200, order, "Order cancelled successfully"))
 })
@@ -276,7 +480,7 @@ const trackOrder = asyncHandler(async (req, res) => {
     const { id } = req.params
 
     const order = await Order.findById(id)
-        .select('orderNumber orderStatus trackingNumber estimatedDelivery createdAt deliveredAt')
+        .select('orderNumber orderStatus trackingNumber estimatedDelivery createdAt deliveredAt statusHistory.status statusHistory.note statusHistory.timestamp')
 
     if (!order) {
         throw new ApiError(404, "Order not found")
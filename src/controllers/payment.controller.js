@@ -0,0 +1,183 @@
+import mongoose from "mongoose";
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Order} from "../models/order.model.js";
+import {PaymentEvent} from "../models/paymentEvent.model.js";
+import {roundCurrency} from "../utils/pricing.js";
+import {
+    getPaymentProvider,
+    initiatePayment,
+    requiresOnlinePayment,
+    PAYMENT_EVENT_TYPES
+} from "../payments/index.js";
+
+// Orders keep every intent they created; older orders only have the single intentId
+const intentFilter = (intentId) => ({
+    $or: [
+        { 'paymentDetails.intentId': intentId },
+        { 'paymentDetails.intentIds': intentId }
+    ]
+})
+
+// Decide what a verified event does to the order; mutates the order only when the result is "applied"
+const applyPaymentEvent = (order, event) => {
+    switch (event.type) {
+        case PAYMENT_EVENT_TYPES.SUCCEEDED:
+            if (['paid', 'refunded'].includes(order.paymentStatus)) {
+                return { result: 'ignored', note: `Order is already ${order.paymentStatus}` }
+            }
+            if (roundCurrency(event.amount) !== roundCurrency(order.totalAmount)) {
+                return { result: 'ignored', note: `Paid amount ${event.amount} does not match order total ${order.totalAmount}` }
+            }
+            order.paymentStatus = 'paid'
+            // Refunds go back through the intent that actually captured the money
+            order.paymentDetails.intentId = event.intentId
+            order.paymentDetails.transactionId = event.transactionId
+            order.paymentDetails.paidAt = event.occurredAt || new Date()
+            order.paymentDetails.failureReason = undefined
+            return { result: 'applied' }
+
+        case PAYMENT_EVENT_TYPES.FAILED:
+            if (order.paymentStatus !== 'pending') {
+                return { result: 'ignored', note: `Order is already ${order.paymentStatus}` }
+            }
+            // A superseded intent failing says nothing about the one the customer is paying with now
+            if (event.intentId !== order.paymentDetails.intentId) {
+                return { result: 'ignored', note: `Intent ${event.intentId} has been superseded` }
+            }
+            order.paymentStatus = 'failed'
+            order.paymentDetails.failureReason = event.failureReason
+            return { result: 'applied' }
+
+        default:
+            return { result: 'ignored', note: `Unhandled event type ${event.type}` }
+    }
+}
+
+// Apply a verified event exactly once, however many times the gateway delivers it
+const processPaymentEvent = async (providerName, event) => {
+    if (!event.id || !event.intentId) {
+        throw new ApiError(400, "Malformed payment event")
+    }
+
+    let outcome
+
+    try {
+        await mongoose.connection.transaction(async (session) => {
+            const alreadyProcessed = await PaymentEvent.exists({ provider: providerName, eventId: event.id }).session(session)
+            if (alreadyProcessed) {
+                outcome = { duplicate: true }
+                return
+            }
+
+            const order = await Order.findOne({
+                ...intentFilter(event.intentId),
+                'paymentDetails.paymentGateway': providerName
+            }).session(session)
+
+            if (!order) {
+                throw new ApiError(404, "No order matches this payment intent")
+            }
+
+            const { result, note } = applyPaymentEvent(order, event)
+            if (result === 'applied') {
+                await order.save({ session })
+            }
+
+            await PaymentEvent.create([{
+                provider: providerName,
+                eventId: event.id,
+                type: event.type,
+                order: order._id,
+                result,
+                note
+            }], { session })
+
+            outcome = { duplicate: false, result, note, orderId: order._id, paymentStatus: order.paymentStatus }
+        })
+    } catch (error) {
+        // A concurrent delivery of the same event won the race
+        if (error?.code === 11000) {
+            return { duplicate: true }
+        }
+        throw error
+    }
+
+    return outcome
+}
+
+const handlePaymentWebhook = asyncHandler(async (req, res) => {
+    const provider = getPaymentProvider(req.params.provider)
+
+    if (!req.rawBody) {
+        throw new ApiError(400, "Webhook payload is required")
+    }
+
+    const event = provider.constructEvent(req.rawBody, req.headers)
+    const outcome = await processPaymentEvent(provider.name, event)
+
+    res.json(new ApiResponse(200, { received: true, ...outcome }, "Webhook processed"))
+})
+
+// (Re)create a payment intent for one of the current user's unpaid orders
+const createOrderPaymentIntent = asyncHandler(async (req, res) => {
+    const { id } = req.params
+
+    const order = await Order.findOne({ _id: id, user: req.user._id })
+    if (!order) {
+        throw new ApiError(404, "Order not found")
+    }
+
+    if (!requiresOnlinePayment(order.paymentMethod)) {
+        throw new ApiError(400, "Cash on delivery orders do not need a payment")
+    }
+    if (!['pending', 'failed'].includes(order.paymentStatus)) {
+        throw new ApiError(409, `Order payment is already ${order.paymentStatus}`)
+    }
+    if (['cancelled', 'returned'].includes(order.orderStatus)) {
+        throw new ApiError(409, `Cannot pay for a ${order.orderStatus} order`)
+    }
+
+    order.paymentStatus = 'pending'
+    const intent = await initiatePayment(order)
+
+    res.status(201).json(new ApiResponse(201, intent, "Payment intent created"))
+})
+
+// Local development only: settle a mock intent through the signed webhook path
+const simulateMockPayment = asyncHandler(async (req, res) => {
+    const { intentId } = req.params
+    const { outcome = "succeeded", failureReason } = req.body
+
+    if (!["succeeded", "failed"].includes(outcome)) {
+        throw new ApiError(400, "Outcome must be 'succeeded' or 'failed'")
+    }
+
+    const provider = getPaymentProvider("mock")
+    const order = await Order.findOne({
+        ...intentFilter(intentId),
+        'paymentDetails.paymentGateway': provider.name,
+        user: req.user._id
+    })
+    if (!order) {
+        throw new ApiError(404, "Payment intent not found")
+    }
+
+    const { rawBody, headers } = provider.buildWebhook({
+        intentId,
+        amount: order.totalAmount,
+        outcome,
+        failureReason
+    })
+    const event = provider.constructEvent(rawBody, headers)
+    const result = await processPaymentEvent(provider.name, event)
+
+    res.json(new ApiResponse(200, result, "Mock payment processed"))
+})
+
+export {
+    handlePaymentWebhook,
+    createOrderPaymentIntent,
+    simulateMockPayment
+}
@@ -1,13 +1,32 @@
 import {asyncHandler} from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js";
-import {Product} from "../models/product.model.js";
+import {Product, PRODUCT_STATUS} from "../models/product.model.js";
 import {ApiResponse} from "../utils/ApiResponse.js";
 import slugify from "slugify";
 import {uploadOnCloudinary} from "../utils/cloudinary.js";
 import {Category} from "../models/category.model.js";
+import {InventoryMovement, MOVEMENT_REASONS} from "../models/inventoryMovement.model.js";
+import {escapeRegex, validateEnum, validateObjectId} from "../utils/validation.js";
+import {decodeOffsetCursor, encodeOffsetCursor, listDocuments, parseListQuery} from "../utils/listQuery.js";
+import {correctQuery, tokenize} from "../utils/search.js";
+import {parseTaxRate} from "../utils/tax.js";
+
+// Statuses an admin can set; OUT_OF_STOCK follows the stock level automatically
+const SETTABLE_STATUSES = [PRODUCT_STATUS.ACTIVE, PRODUCT_STATUS.DRAFT, PRODUCT_STATUS.DISCONTINUED];
+
+// Sorting and sparse field selection allowed on public product lists
+const PRODUCT_LIST_OPTIONS = {
+    sortFields: ["createdAt", "updatedAt", "name", "sellingPrice", "stock", "averageRating"],
+    selectableFields: [
+        "name", "slug", "description", "sellingPrice", "stock", "status", "category",
+        "image", "sku", "isFeatured", "options", "variants", "averageRating", "ratingCount",
+        "createdAt", "updatedAt"
+    ],
+    populate: { path: "category", select: "name" }
+};
 
 const createProduct = asyncHandler( async (req, res) =>{
-    const { name, description, purchasePrice, sellingPrice, stock, category } = req.body;
+    const { name, description, purchasePrice, sellingPrice, stock, category, weight, taxRate, status } = req.body;
 
     // // Debug logs add karo
     // console.log("Received data:", {
@@ -30,6 +49,15 @@ const createProduct = asyncHandler( async (req, res) =>{
     if(purchasePrice < 0 || sellingPrice < 0 || stock < 0){
         throw new ApiError(400, "All fields must be greater than 0")
     }
+    if(weight != null && !(Number(weight) >= 0)){
+        throw new ApiError(400, "Weight must be a number of grams, 0 or more")
+    }
+    if(status !== undefined){
+        validateEnum(status, SETTABLE_STATUSES, "status")
+    }
+    if(status === PRODUCT_STATUS.ACTIVE && sellingPrice == null){
+        throw new ApiError(400, "Set a selling price before publishing the product")
+    }
     if(sellingPrice < purchasePrice)
     {
         throw new ApiError(400, "Selling price cannot be less than purchase price")
@@ -59,6 +87,10 @@ const createProduct = asyncHandler( async (req, res) =>{
         sellingPrice,
         stock,
         category,
+        weight: weight ?? 0,
+        taxRate: parseTaxRate(taxRate) ?? null,
+        // Published without stock means out of stock, as in setStatus
+        status: status === PRODUCT_STATUS.ACTIVE && Number(stock) <= 0 ? PRODUCT_STATUS.OUT_OF_STOCK : (status || PRODUCT_STATUS.DRAFT),
         image: image?.secure_url || null,
         lowStockThreshold: 10,
         createdBy: req.user?._id,
@@ -68,6 +100,15 @@ const createProduct = asyncHandler( async (req, res) =>{
         throw new ApiError(500, "Something went wrong while creating the product")
     }
 
+    await InventoryMovement.record({
+        product: product._id,
+        delta: product.stock,
+        stockAfter: product.stock,
+        reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+        actor: req.user?._id,
+        note: "Initial stock"
+    })
+
     return res.status(201).json(
         new ApiResponse(201, product, "Product created Successfully")
     )
@@ -92,9 +133,7 @@ const getProductById = asyncHandler(async (req, res) => {
 })
 
 const getAllProducts = asyncHandler(async (req, res) => {
-    const products = await Product.find()
-        .populate("category", "name")
-        .sort({ createdAt: -1 });
+    const products = await listDocuments(Product, {isDeleted: {$ne: true}}, req.query, PRODUCT_LIST_OPTIONS);
 
     return res.status(200).json(
         new ApiResponse(200, products, "Products retrieved successfully")
@@ -103,7 +142,7 @@ const getAllProducts = asyncHandler(async (req, res) => {
 
 const updateProduct = asyncHandler(async (req, res) => {
     const {id} = req.params;
-    const {name, description, purchasePrice, sellingPrice, stock, category} = req.body;
+    const {name, description, purchasePrice, sellingPrice, stock, category, weight, taxRate} = req.body;
 
     if (!id) {
         throw new ApiError(400, "Product ID is required")
@@ -118,6 +157,9 @@ const updateProduct = asyncHandler(async (req, res) => {
     if (purchasePrice < 0 || sellingPrice < 0 || stock < 0) {
         throw new ApiError(400, "All fields must be greater than 0")
     }
+    if (weight != null && !(Number(weight) >= 0)) {
+        throw new ApiError(400, "Weight must be a number of grams, 0 or more")
+    }
     if (sellingPrice < purchasePrice) {
         throw new ApiError(400, "Selling price cannot be less than purchase price")
     }
@@ -133,6 +175,18 @@ const updateProduct = asyncHandler(async (req, res) => {
         lowStockThreshold: 10,
         createdBy: req.user._id,
     };
+    if (weight != null) {
+        updateData.weight = weight;
+    }
+    // null clears the override so the category rate applies again
+    if (taxRate !== undefined) {
+        updateData.taxRate = parseTaxRate(taxRate);
+    }
+    // Products sold in variants derive their stock from the variants
+    if (await Product.exists({ _id: id, "variants.0": { $exists: true } })) {
+        delete updateData.stock;
+    }
+
     console.log("File received:", req.file);
     const imageLocalPath = req.files?.image[0]?.path;
     if (imageLocalPath) {
@@ -140,16 +194,24 @@ const updateProduct = asyncHandler(async (req, res) => {
         updateData.image = image?.secure_url || null;
     }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-        id,
-        updateData,
-        {new: true}
-    ).populate("category", "name");
+    const previousProduct = await Product.findByIdAndUpdate(id, updateData);
 
-    if (!updatedProduct) {
+    if (!previousProduct) {
         throw new ApiError(404, "Product not found or could not be updated")
     }
 
+    // findByIdAndUpdate skips save hooks, so rebuild the denormalized search fields
+    await Product.refreshSearchFields({_id: id});
+    const updatedProduct = await Product.findById(id).populate("category", "name");
+
+    await InventoryMovement.record({
+        product: updatedProduct._id,
+        delta: updatedProduct.stock - previousProduct.stock,
+        stockAfter: updatedProduct.stock,
+        reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+        actor: req.user._id
+    })
+
     return res.status(200).json(
         new ApiResponse(200, updatedProduct, "Product updated successfully")
     )
@@ -173,55 +235,251 @@ const deleteProduct = asyncHandler(async (req, res) => {
     )
 })
 
+const SEARCH_STATUSES = [PRODUCT_STATUS.ACTIVE, PRODUCT_STATUS.OUT_OF_STOCK];
+const MAX_SEARCH_LENGTH = 100;
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Known search terms, refreshed every few minutes, used to correct typos
+let searchVocabulary = { terms: null, expiresAt: 0 };
+
+const getSearchVocabulary = async () => {
+    if (!searchVocabulary.terms || searchVocabulary.expiresAt < Date.now()) {
+        const terms = await Product.distinct("searchTokens", {isDeleted: {$ne: true}, status: {$in: SEARCH_STATUSES}});
+        searchVocabulary = { terms: new Set(terms), expiresAt: Date.now() + VOCABULARY_TTL_MS };
+    }
+    return searchVocabulary.terms;
+}
+
+// Relevance-ranked page of results from the weighted text index
+const runTextSearch = async (text, {limit, offset, projection}) => {
+    const filter = {
+        $text: {$search: text},
+        isDeleted: {$ne: true},
+        status: {$in: SEARCH_STATUSES}
+    };
+    const fields = projection
+        ? Object.fromEntries(projection.split(" ").map(field => [field, 1]))
+        : {};
+
+    const [docs, total] = await Promise.all([
+        Product.find(filter, {...fields, score: {$meta: "textScore"}})
+            .sort({score: {$meta: "textScore"}, _id: 1})
+            .skip(offset)
+            .limit(limit + 1)
+            .populate("category", "name"),
+        Product.countDocuments(filter)
+    ]);
+
+    const hasMore = docs.length > limit;
+    return {
+        items: hasMore ? docs.slice(0, limit) : docs,
+        nextCursor: hasMore ? encodeOffsetCursor(offset + limit) : null,
+        total
+    };
+}
+
 const searchProducts = asyncHandler(async (req, res) => {
     const {query} = req.query;
 
     if (!query?.trim()) {
         throw new ApiError(400, "Search query is required")
     }
+    if (query.length > MAX_SEARCH_LENGTH) {
+        throw new ApiError(400, `Search query must not exceed ${MAX_SEARCH_LENGTH} characters`)
+    }
 
-    const products = await Product.find({
-        $or: [
-            {name: {$regex: query, $options: 'i'}},
-            {description: {$regex: query, $options: 'i'}}
-        ]
-    }).populate("category", "name").sort({ createdAt: -1 });
+    const {limit, projection} = parseListQuery({...req.query, cursor: undefined}, PRODUCT_LIST_OPTIONS);
+    const offset = decodeOffsetCursor(req.query.cursor);
 
-    if (!products || products.length === 0) {
-        throw new ApiError(404, "No products found matching the search criteria")
+    let results = await runTextSearch(query, {limit, offset, projection});
+    let correctedQuery = null;
+
+    // Nothing matched on the first page: retry once with typos corrected against the catalog vocabulary
+    if (results.total === 0 && offset === 0) {
+        correctedQuery = correctQuery(query, await getSearchVocabulary());
+        if (correctedQuery) {
+            results = await runTextSearch(correctedQuery, {limit, offset, projection});
+        }
     }
 
     return res.status(200).json(
-        new ApiResponse(200, products, "Products retrieved successfully")
+        new ApiResponse(200, {...results, correctedQuery}, "Products retrieved successfully")
     )
 })
 
-const filterProducts = asyncHandler(async (req, res) => {
-    const {category, minPrice, maxPrice, inStock} = req.query;
-
-    const filters = {};
+// Prefix autocomplete: earlier words must match whole tokens, the last one is a prefix
+const suggestProducts = asyncHandler(async (req, res) => {
+    const tokens = tokenize(String(req.query.q || "").slice(0, MAX_SEARCH_LENGTH)).slice(0, 5);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 20);
 
-    if (category) {
-        filters.category = category;
+    if (!tokens.length) {
+        return res.status(200).json(new ApiResponse(200, [], "Suggestions retrieved successfully"));
     }
-    if (minPrice) {
-        filters.sellingPrice = {$gte: parseFloat(minPrice)};
+
+    const prefix = tokens.pop();
+    const suggestions = await Product.find({
+        isDeleted: {$ne: true},
+        status: {$in: SEARCH_STATUSES},
+        $and: [
+            ...tokens.map(token => ({searchTokens: token})),
+            {searchTokens: {$regex: `^${escapeRegex(prefix)}`}}
+        ]
+    })
+        .select("name slug image sellingPrice categoryName")
+        .sort({isFeatured: -1, name: 1})
+        .limit(limit);
+
+    return res.status(200).json(
+        new ApiResponse(200, suggestions, "Suggestions retrieved successfully")
+    )
+})
+
+// Backfill search fields, e.g. after importing products directly into the database
+const reindexProductSearch = asyncHandler(async (req, res) => {
+    const updated = await Product.refreshSearchFields();
+    searchVocabulary = { terms: null, expiresAt: 0 };
+
+    return res.status(200).json(
+        new ApiResponse(200, {updated}, "Product search fields rebuilt")
+    )
+})
+
+// Lower bounds of the price facet buckets; prices above the last one share an open-ended bucket
+const PRICE_BUCKET_BOUNDARIES = [0, 500, 1000, 2500, 5000, 10000];
+
+// Accepts repeated params (?category=a&category=b) as well as comma-separated values
+const parseListParam = (value) =>
+    [].concat(value ?? []).flatMap(entry => String(entry).split(",")).map(entry => entry.trim()).filter(Boolean);
+
+const parseBooleanParam = (value, field) => {
+    if (value === undefined || value === "") return undefined;
+    if (value !== "true" && value !== "false") {
+        throw new ApiError(400, `${field} must be true or false`)
     }
-    if (maxPrice) {
-        filters.sellingPrice = {...filters.sellingPrice, $lte: parseFloat(maxPrice)};
+    return value === "true";
+}
+
+const parsePriceParam = (value, field) => {
+    if (value === undefined || value === "") return undefined;
+    const price = Number(value);
+    if (!Number.isFinite(price) || price < 0) {
+        throw new ApiError(400, `${field} must be a non-negative number`)
     }
-    if (inStock === 'true') {
-        filters.stock = {$gt: 0};
+    return price;
+}
+
+// Filters that have a facet are kept apart from the base filter so that each facet
+// can be counted with every other filter applied but its own
+const buildBrowseFilters = async (query) => {
+    const statuses = parseListParam(query.status).map(status => validateEnum(status, SEARCH_STATUSES, "status"));
+    const featured = parseBooleanParam(query.featured, "featured");
+    const inStock = parseBooleanParam(query.inStock, "inStock");
+    const minPrice = parsePriceParam(query.minPrice, "minPrice");
+    const maxPrice = parsePriceParam(query.maxPrice, "maxPrice");
+
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+        throw new ApiError(400, "minPrice cannot be greater than maxPrice")
     }
 
-    const products = await Product.find(filters).populate("category", "name").sort({ createdAt: -1 });
+    const base = {
+        isDeleted: {$ne: true},
+        status: {$in: statuses.length ? statuses : SEARCH_STATUSES}
+    };
+    if (featured !== undefined) {
+        base.isFeatured = featured;
+    }
 
-    if (!products || products.length === 0) {
-        throw new ApiError(404, "No products found matching the filter criteria")
+    const facets = {};
+    const categoryIds = parseListParam(query.category).map(id => validateObjectId(id, "Category ID"));
+    if (categoryIds.length) {
+        // A parent category also covers the products of all its subcategories
+        facets.category = {category: {$in: await Category.getSubtreeIds(categoryIds)}};
+    }
+    if (minPrice !== undefined || maxPrice !== undefined) {
+        facets.price = {sellingPrice: {
+            ...(minPrice !== undefined && {$gte: minPrice}),
+            ...(maxPrice !== undefined && {$lte: maxPrice})
+        }};
+    }
+    if (inStock !== undefined) {
+        facets.availability = {stock: inStock ? {$gt: 0} : {$lte: 0}};
     }
 
+    return {base, facets};
+}
+
+const mergeFacetFilters = (facets, exclude) =>
+    Object.entries(facets)
+        .filter(([name]) => name !== exclude)
+        .reduce((filter, [, facetFilter]) => ({...filter, ...facetFilter}), {});
+
+// Category, price bucket and availability counts in a single aggregation
+const getFacetCounts = async (base, facets) => {
+    const [result] = await Product.aggregate([
+        {$match: base},
+        {$facet: {
+            categories: [
+                {$match: mergeFacetFilters(facets, "category")},
+                {$group: {_id: "$category", count: {$sum: 1}}},
+                {$lookup: {
+                    from: "categories",
+                    localField: "_id",
+                    foreignField: "_id",
+                    pipeline: [{$project: {name: 1, slug: 1}}],
+                    as: "category"
+                }},
+                {$unwind: "$category"},
+                {$project: {_id: 1, name: "$category.name", slug: "$category.slug", count: 1}},
+                {$sort: {count: -1, name: 1}}
+            ],
+            priceRanges: [
+                {$match: mergeFacetFilters(facets, "price")},
+                {$bucket: {
+                    groupBy: "$sellingPrice",
+                    boundaries: PRICE_BUCKET_BOUNDARIES,
+                    default: "above",
+                    output: {count: {$sum: 1}}
+                }}
+            ],
+            availability: [
+                {$match: mergeFacetFilters(facets, "availability")},
+                {$group: {_id: {$gt: ["$stock", 0]}, count: {$sum: 1}}}
+            ]
+        }}
+    ]);
+
+    // Report every bucket, including empty ones, so the sidebar layout stays stable
+    const bucketCounts = new Map(result.priceRanges.map(bucket => [bucket._id, bucket.count]));
+    const lastBoundary = PRICE_BUCKET_BOUNDARIES[PRICE_BUCKET_BOUNDARIES.length - 1];
+    const priceRanges = PRICE_BUCKET_BOUNDARIES.slice(0, -1).map((min, index) => ({
+        min,
+        max: PRICE_BUCKET_BOUNDARIES[index + 1],
+        count: bucketCounts.get(min) || 0
+    }));
+    priceRanges.push({min: lastBoundary, max: null, count: bucketCounts.get("above") || 0});
+
+    const availabilityCounts = new Map(result.availability.map(group => [group._id, group.count]));
+
+    return {
+        categories: result.categories,
+        priceRanges,
+        availability: {
+            inStock: availabilityCounts.get(true) || 0,
+            outOfStock: availabilityCounts.get(false) || 0
+        }
+    };
+}
+
+const filterProducts = asyncHandler(async (req, res) => {
+    const {base, facets} = await buildBrowseFilters(req.query);
+
+    const [products, facetCounts] = await Promise.all([
+        listDocuments(Product, {...base, ...mergeFacetFilters(facets)}, req.query, PRODUCT_LIST_OPTIONS),
+        getFacetCounts(base, facets)
+    ]);
+
     return res.status(200).json(
-        new ApiResponse(200, products, "Products retrieved successfully")
+        new ApiResponse(200, {...products, facets: facetCounts}, "Products retrieved successfully")
     )
 })
 
@@ -232,8 +490,12 @@ const minStockProducts = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Threshold is required")
     }
 
+    const limit = parseInt(threshold);
     const products = await Product.find({
-        stock: {$lt: parseInt(threshold)},
+        $or: [
+            {stock: {$lt: limit}},
+            {variants: {$elemMatch: {stock: {$lt: limit}, isActive: true}}}
+        ],
         isDeleted: false
     }).populate("category", "name").sort({ createdAt: -1 });
 
@@ -261,14 +523,223 @@ const getFeaturedProducts = asyncHandler(async (req, res) => {
     )
 })
 
+const getLowStockVariants = asyncHandler(async (req, res) => {
+    const variants = await Product.findLowStockVariants();
+
+    return res.status(200).json(
+        new ApiResponse(200, variants, "Low stock variants retrieved successfully")
+    )
+})
+
+// Variant fields may arrive as JSON strings when sent together with an image (multipart)
+const parseVariantBody = (body) => {
+    const options = typeof body.options === "string" ? JSON.parse(body.options) : body.options;
+    const data = {};
+
+    if (options !== undefined) data.options = options;
+    ["sku", "sellingPrice", "stock", "lowStockThreshold", "weight"].forEach(field => {
+        if (body[field] !== undefined && body[field] !== "") data[field] = body[field];
+    });
+    if (body.isActive !== undefined) data.isActive = body.isActive === true || body.isActive === "true";
+
+    if (data.sellingPrice != null && Number(data.sellingPrice) < 0) {
+        throw new ApiError(400, "Variant price must be greater than 0")
+    }
+    if (data.stock != null && (!Number.isInteger(Number(data.stock)) || Number(data.stock) < 0)) {
+        throw new ApiError(400, "Variant stock must be a whole number of 0 or more")
+    }
+    if (data.weight != null && !(Number(data.weight) >= 0)) {
+        throw new ApiError(400, "Variant weight must be a number of grams, 0 or more")
+    }
+    return data;
+}
+
+const uploadVariantImage = async (req) => {
+    const imageLocalPath = req.file?.path;
+    if (!imageLocalPath) return undefined;
+
+    const image = await uploadOnCloudinary(imageLocalPath);
+    if (!image) {
+        throw new ApiError(400, "Error while uploading image")
+    }
+    return image.secure_url;
+}
+
+const addVariant = asyncHandler(async (req, res) => {
+    const {id} = req.params;
+    const data = parseVariantBody(req.body);
+
+    if (!data.options || typeof data.options !== "object" || !Object.keys(data.options).length) {
+        throw new ApiError(400, "Variant options are required, e.g. { \"size\": \"M\" }")
+    }
+
+    const product = await Product.findById(id);
+    if (!product) {
+        throw new ApiError(404, "Product not found")
+    }
+
+    const image = await uploadVariantImage(req);
+    const movements = [];
+
+    // Units held at product level are replaced by per-variant stock
+    if (!product.variants.length && product.stock > 0) {
+        movements.push({
+            product: product._id,
+            delta: -product.stock,
+            stockAfter: 0,
+            reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+            actor: req.user._id,
+            note: "Stock moved to variants"
+        });
+    }
+
+    product.variants.push({ ...data, ...(image && { image }) });
+    await product.save();
+
+    const variant = product.variants[product.variants.length - 1];
+    movements.push({
+        product: product._id,
+        variant: variant._id,
+        delta: variant.stock,
+        stockAfter: variant.stock,
+        reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+        actor: req.user._id,
+        note: "Initial stock"
+    });
+    await InventoryMovement.record(movements);
+
+    return res.status(201).json(
+        new ApiResponse(201, product, "Variant added successfully")
+    )
+})
+
+const updateVariant = asyncHandler(async (req, res) => {
+    const {id, variantId} = req.params;
+    const data = parseVariantBody(req.body);
+
+    const product = await Product.findById(id);
+    const variant = product?.variants.id(variantId);
+    if (!variant) {
+        throw new ApiError(404, "Variant not found")
+    }
+
+    const image = await uploadVariantImage(req);
+    const previousStock = variant.stock;
+
+    variant.set({ ...data, ...(image && { image }) });
+    await product.save();
+
+    await InventoryMovement.record({
+        product: product._id,
+        variant: variant._id,
+        delta: variant.stock - previousStock,
+        stockAfter: variant.stock,
+        reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+        actor: req.user._id
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, product, "Variant updated successfully")
+    )
+})
+
+const removeVariant = asyncHandler(async (req, res) => {
+    const {id, variantId} = req.params;
+
+    const product = await Product.findById(id);
+    const variant = product?.variants.id(variantId);
+    if (!variant) {
+        throw new ApiError(404, "Variant not found")
+    }
+
+    const removedStock = variant.stock;
+    product.variants.pull(variant._id);
+    if (!product.variants.length) {
+        product.stock = 0;
+    }
+    await product.save();
+
+    await InventoryMovement.record({
+        product: product._id,
+        variant: variant._id,
+        delta: -removedStock,
+        stockAfter: 0,
+        reason: MOVEMENT_REASONS.MANUAL_ADJUSTMENT,
+        actor: req.user._id,
+        note: "Variant removed"
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, product, "Variant removed successfully")
+    )
+})
+
+const getInventoryMovements = asyncHandler(async (req, res) => {
+    const {id} = req.params;
+    const {reason, variant} = req.query;
+
+    validateObjectId(id, "Product ID");
+
+    const filter = {product: id};
+    if (variant) {
+        filter.variant = validateObjectId(variant, "Variant ID");
+    }
+    if (reason) {
+        filter.reason = validateEnum(reason, Object.values(MOVEMENT_REASONS), "reason");
+    }
+
+    const movements = await listDocuments(InventoryMovement, filter, req.query, {
+        sortFields: ["createdAt"],
+        selectableFields: ["variant", "delta", "stockAfter", "reason", "order", "actor", "note", "createdAt"],
+        populate: [
+            { path: "order", select: "orderNumber orderStatus" },
+            { path: "actor", select: "username fullName role" }
+        ]
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, movements, "Inventory movements retrieved successfully")
+    )
+})
+
+// Admin: publish, unpublish or discontinue a product
+const updateProductStatus = asyncHandler(async (req, res) => {
+    const {id} = req.params;
+    const status = validateEnum(req.body?.status, SETTABLE_STATUSES, "status");
+    validateObjectId(id, "Product ID");
+
+    const product = await Product.findById(id);
+    if (!product) {
+        throw new ApiError(404, "Product not found")
+    }
+    if (status === PRODUCT_STATUS.ACTIVE && product.getUnitPrice() == null && !product.variants.some(variant => variant.sellingPrice != null)) {
+        throw new ApiError(400, "Set a selling price before publishing the product")
+    }
+
+    product.setStatus(status);
+    await product.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, product, `Product status set to ${product.status}`)
+    )
+})
+
 export {
     createProduct,
+    updateProductStatus,
     getProductById,
     getAllProducts,
     updateProduct,
     deleteProduct,
     searchProducts,
+    suggestProducts,
+    reindexProductSearch,
     filterProducts,
     minStockProducts,
-    getFeaturedProducts
+    getFeaturedProducts,
+    getLowStockVariants,
+    addVariant,
+    updateVariant,
+    removeVariant,
+    getInventoryMovements
 }
\ No newline at end of file
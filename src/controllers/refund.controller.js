@@ -0,0 +1,417 @@
+import mongoose from "mongoose";
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Order} from "../models/order.model.js";
+import {Refund, REFUND_STATUS, INACTIVE_REFUND_STATUS} from "../models/refund.model.js";
+import {MOVEMENT_REASONS} from "../models/inventoryMovement.model.js";
+import {restockItems} from "../utils/inventory.js";
+import {lineItemKey, roundCurrency} from "../utils/pricing.js";
+import {validateEnum, validateObjectId} from "../utils/validation.js";
+import {listDocuments} from "../utils/listQuery.js";
+import {refundPayment} from "../payments/index.js";
+
+const REFUND_LIST_OPTIONS = {
+    sortFields: ['createdAt', 'updatedAt', 'amount'],
+    selectableFields: ['order', 'user', 'items', 'amount', 'reason', 'status', 'providerReference', 'processedAt', 'createdAt']
+}
+
+// Refunds that have paid out or are paying out; approvals are checked against these
+const COMMITTED_REFUND_STATUS = [REFUND_STATUS.PROCESSING, REFUND_STATUS.COMPLETED]
+
+// Wait this long before a refund still in processing is treated as stuck
+const STUCK_REFUND_AFTER_MS = 5 * 60 * 1000
+
+// Quantities and money already committed to refunds that are pending or done
+// (or only to the given statuses), leaving out one refund when it is the one being checked
+const getRefundState = async (order, { session = null, statuses = null, exclude = null } = {}) => {
+    const refunds = await Refund.find({
+        order: order._id,
+        status: statuses ? { $in: statuses } : { $nin: INACTIVE_REFUND_STATUS },
+        ...(exclude && { _id: { $ne: exclude } })
+    }).session(session)
+
+    const refundedQuantities = new Map()
+    let committedAmount = 0
+
+    for (const refund of refunds) {
+        committedAmount += refund.amount
+        for (const item of refund.items) {
+            const key = lineItemKey(item)
+            refundedQuantities.set(key, (refundedQuantities.get(key) || 0) + item.quantity)
+        }
+    }
+
+    return {
+        refundedQuantities,
+        remainingAmount: roundCurrency(order.totalAmount - committedAmount)
+    }
+}
+
+// Refund bookkeeping is serialised per order: touching the order inside the transaction makes
+// concurrent transactions on the same order conflict, and the retried one sees the other's refund
+const lockOrder = (orderId, session) =>
+    Order.updateOne({ _id: orderId }, { $set: { updatedAt: new Date() } }, { session })
+
+// Price the requested lines from the order snapshot; no items means everything still refundable
+const buildRefund = (order, requestedItems, { refundedQuantities, remainingAmount }) => {
+    const requested = requestedItems?.length
+        ? requestedItems
+        : order.items.map(line => ({
+            product: line.product,
+            variant: line.variant,
+            quantity: line.quantity - (refundedQuantities.get(lineItemKey(line)) || 0)
+        })).filter(item => item.quantity > 0)
+
+    const items = requested.map(item => {
+        const productId = item.product?.toString()
+        const key = lineItemKey(item)
+        const quantity = Number(item.quantity)
+        const line = order.items.find(orderItem => lineItemKey(orderItem) === key)
+
+        if (!line) {
+            throw new ApiError(400, `Product ${productId} is not part of this order`)
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new ApiError(400, "Refund quantity must be a positive whole number")
+        }
+
+        const available = line.quantity - (refundedQuantities.get(key) || 0)
+        if (quantity > available) {
+            throw new ApiError(400, `Only ${available} unit(s) of product ${productId} can still be refunded`)
+        }
+
+        // Lines with a tax breakdown refund what was actually paid per unit (after discount, with tax)
+        const unitAmount = line.lineTotal != null ? line.lineTotal / line.quantity : line.unitPrice
+        return { product: line.product, variant: line.variant, quantity, amount: roundCurrency(unitAmount * quantity) }
+    })
+
+    if (items.length === 0) {
+        throw new ApiError(400, "Nothing left to refund on this order")
+    }
+
+    // When every unit is being refunded, settle the remainder so shipping and discounts reconcile
+    const coversAllUnits = order.items.every(line => {
+        const key = lineItemKey(line)
+        const inThisRefund = items.find(item => lineItemKey(item) === key)?.quantity || 0
+        return (refundedQuantities.get(key) || 0) + inThisRefund >= line.quantity
+    })
+
+    const itemsAmount = roundCurrency(items.reduce((sum, item) => sum + item.amount, 0))
+    const amount = coversAllUnits ? remainingAmount : Math.min(itemsAmount, remainingAmount)
+
+    return { items, amount: roundCurrency(amount) }
+}
+
+const assertRefundable = (order) => {
+    if (order.paymentStatus !== 'paid') {
+        throw new ApiError(409, `Only paid orders can be refunded (payment is ${order.paymentStatus})`)
+    }
+}
+
+// Customer: request a refund for some or all items of a delivered order
+const requestRefund = asyncHandler(async (req, res) => {
+    const { orderId, items, reason } = req.body
+
+    validateObjectId(orderId, "Order ID")
+    if (!reason?.trim()) {
+        throw new ApiError(400, "Refund reason is required")
+    }
+
+    const order = await Order.findOne({ _id: orderId, user: req.user._id })
+    if (!order) {
+        throw new ApiError(404, "Order not found")
+    }
+    if (order.orderStatus !== 'delivered') {
+        throw new ApiError(409, "Refunds can only be requested for delivered orders")
+    }
+    assertRefundable(order)
+
+    let refund
+    await mongoose.connection.transaction(async (session) => {
+        await lockOrder(order._id, session)
+        const state = await getRefundState(order, { session })
+        const { items: refundItems, amount } = buildRefund(order, items, state)
+
+        refund = (await Refund.create([{
+            order: order._id,
+            user: order.user,
+            items: refundItems,
+            amount,
+            reason,
+            requestedBy: req.user._id
+        }], { session }))[0]
+    })
+
+    return res.status(201).json(
+        new ApiResponse(201, refund, "Refund requested successfully")
+    )
+})
+
+const getMyRefunds = asyncHandler(async (req, res) => {
+    const refunds = await listDocuments(Refund, { user: req.user._id }, req.query, {
+        ...REFUND_LIST_OPTIONS,
+        populate: [
+            { path: 'order', select: 'orderNumber totalAmount' },
+            { path: 'items.product', select: 'name' }
+        ]
+    })
+
+    return res.status(200).json(
+        new ApiResponse(200, refunds, "Refunds retrieved successfully")
+    )
+})
+
+// Admin: open a refund on any paid order, by items or by a plain amount
+const createRefund = asyncHandler(async (req, res) => {
+    const { orderId, items, amount, reason } = req.body
+
+    validateObjectId(orderId, "Order ID")
+    if (!reason?.trim()) {
+        throw new ApiError(400, "Refund reason is required")
+    }
+
+    const order = await Order.findById(orderId)
+    if (!order) {
+        throw new ApiError(404, "Order not found")
+    }
+    assertRefundable(order)
+
+    let refund
+    await mongoose.connection.transaction(async (session) => {
+        await lockOrder(order._id, session)
+        const state = await getRefundState(order, { session })
+        let refundData
+
+        if (amount != null && !items?.length) {
+            const requestedAmount = roundCurrency(amount)
+            if (!(requestedAmount > 0) || requestedAmount > state.remainingAmount) {
+                throw new ApiError(400, `Refund amount must be between 0.01 and ${state.remainingAmount}`)
+            }
+            refundData = { items: [], amount: requestedAmount }
+        } else {
+            refundData = buildRefund(order, items, state)
+        }
+
+        refund = (await Refund.create([{
+            order: order._id,
+            user: order.user,
+            ...refundData,
+            reason,
+            requestedBy: req.user._id
+        }], { session }))[0]
+    })
+
+    return res.status(201).json(
+        new ApiResponse(201, refund, "Refund created successfully")
+    )
+})
+
+// Make sure a refund still fits next to the refunds that have paid out or are paying out
+const assertWithinBudget = (order, refund, { refundedQuantities, remainingAmount }) => {
+    for (const item of refund.items) {
+        const key = lineItemKey(item)
+        const line = order.items.find(orderItem => lineItemKey(orderItem) === key)
+        const available = (line?.quantity || 0) - (refundedQuantities.get(key) || 0)
+        if (item.quantity > available) {
+            throw new ApiError(409, `Only ${Math.max(available, 0)} unit(s) of product ${item.product} can still be refunded`)
+        }
+    }
+    if (roundCurrency(refund.amount) > remainingAmount) {
+        throw new ApiError(409, `Only ${remainingAmount} can still be refunded on this order`)
+    }
+}
+
+const failRefund = async (refund, error) => {
+    refund.status = REFUND_STATUS.FAILED
+    refund.failureReason = error.message?.slice(0, 200)
+    await refund.save()
+}
+
+// Pay out a refund in processing and remember that it was paid
+const payOutRefund = async (refund, order) => {
+    const payout = await refundPayment(order, refund.amount, { idempotencyKey: refund._id.toString() })
+
+    refund.providerReference = payout.refundId
+    refund.payoutAt = new Date()
+    await refund.save()
+}
+
+// Book a paid-out refund on the order and restock its units; safe to run again for the same refund
+const completeRefund = async (refundId, actor) => {
+    let refund
+
+    await mongoose.connection.transaction(async (session) => {
+        refund = await Refund.findOne({ _id: refundId, status: REFUND_STATUS.PROCESSING }).session(session)
+        if (!refund) {
+            throw new ApiError(409, "Refund is no longer processing")
+        }
+
+        const order = await Order.findById(refund.order).session(session)
+        order.refundedAmount = roundCurrency(order.refundedAmount + refund.amount)
+        if (order.refundedAmount >= roundCurrency(order.totalAmount)) {
+            order.paymentStatus = 'refunded'
+        }
+
+        // Only units no refund, cancellation or return has put back yet
+        const toRestock = refund.restock ? order.claimRestock(refund.items) : []
+        await order.save({ session })
+
+        refund.status = REFUND_STATUS.COMPLETED
+        refund.processedAt = new Date()
+        refund.restock = toRestock.length > 0
+        await refund.save({ session })
+
+        if (toRestock.length) {
+            await restockItems(toRestock, {
+                reason: MOVEMENT_REASONS.RETURN,
+                order: order._id,
+                actor,
+                note: `Refund ${refund._id}`,
+                session
+            })
+        }
+    })
+
+    return refund
+}
+
+// Admin: approve a requested refund, pay it out and update the order
+const approveRefund = asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { restock } = req.body ?? {}
+
+    if (restock !== undefined && typeof restock !== 'boolean') {
+        throw new ApiError(400, "restock must be true or false")
+    }
+
+    // Claim the refund first so two admins cannot pay it out twice
+    const refund = await Refund.findOneAndUpdate(
+        { _id: id, status: REFUND_STATUS.REQUESTED },
+        { $set: { status: REFUND_STATUS.PROCESSING, reviewedBy: req.user._id, reviewedAt: new Date() } },
+        { new: true }
+    )
+    if (!refund) {
+        throw new ApiError(404, "No pending refund found with this ID")
+    }
+
+    const order = await Order.findById(refund.order)
+
+    try {
+        assertRefundable(order)
+
+        // Re-check the budget against what is paid or being paid right now, under the order lock
+        await mongoose.connection.transaction(async (session) => {
+            await lockOrder(order._id, session)
+            const state = await getRefundState(order, { session, statuses: COMMITTED_REFUND_STATUS, exclude: refund._id })
+            assertWithinBudget(order, refund, state)
+        })
+
+        // Restocking is the admin's call: a refunded item may be damaged or never sent back.
+        // Returned orders were already restocked by the return flow, and claimRestock skips those units
+        refund.restock = restock === true && refund.items.length > 0
+        await refund.save()
+    } catch (error) {
+        await failRefund(refund, error)
+        throw error
+    }
+
+    try {
+        await payOutRefund(refund, order)
+    } catch (error) {
+        // Once the payout is recorded the refund stays in processing and can be reconciled
+        if (!refund.payoutAt) {
+            await failRefund(refund, error)
+        }
+        throw error instanceof ApiError ? error : new ApiError(502, "Payment provider could not process the refund")
+    }
+
+    const completed = await completeRefund(refund._id, req.user._id)
+
+    return res.status(200).json(
+        new ApiResponse(200, completed, "Refund approved successfully")
+    )
+})
+
+// Admin: finish a refund left in processing by a crash or a failed write after approval.
+// The payout is retried with the same idempotency key unless it was already recorded
+const reconcileRefund = asyncHandler(async (req, res) => {
+    const { id } = req.params
+    validateObjectId(id, "Refund ID")
+
+    const refund = await Refund.findOne({ _id: id, status: REFUND_STATUS.PROCESSING })
+    if (!refund) {
+        throw new ApiError(404, "No processing refund found with this ID")
+    }
+    if (Date.now() - refund.updatedAt.getTime() < STUCK_REFUND_AFTER_MS) {
+        throw new ApiError(409, "Refund is still being processed, try again in a few minutes")
+    }
+
+    if (!refund.payoutAt) {
+        const order = await Order.findById(refund.order)
+        try {
+            await payOutRefund(refund, order)
+        } catch (error) {
+            throw error instanceof ApiError ? error : new ApiError(502, "Payment provider could not process the refund")
+        }
+    }
+
+    const completed = await completeRefund(refund._id, req.user._id)
+
+    return res.status(200).json(
+        new ApiResponse(200, completed, "Refund reconciled successfully")
+    )
+})
+
+const rejectRefund = asyncHandler(async (req, res) => {
+    const { id } = req.params
+    const { rejectionReason } = req.body
+
+    const refund = await Refund.findOneAndUpdate(
+        { _id: id, status: REFUND_STATUS.REQUESTED },
+        {
+            $set: {
+                status: REFUND_STATUS.REJECTED,
+                rejectionReason,
+                reviewedBy: req.user._id,
+                reviewedAt: new Date()
+            }
+        },
+        { new: true, runValidators: true }
+    )
+    if (!refund) {
+        throw new ApiError(404, "No pending refund found with this ID")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, refund, "Refund rejected")
+    )
+})
+
+const getAllRefunds = asyncHandler(async (req, res) => {
+    const { status, orderId } = req.query
+
+    const filter = {}
+    if (status) filter.status = validateEnum(status, Object.values(REFUND_STATUS), "status")
+    if (orderId) filter.order = validateObjectId(orderId, "Order ID")
+
+    const refunds = await listDocuments(Refund, filter, req.query, {
+        ...REFUND_LIST_OPTIONS,
+        populate: [
+            { path: 'order', select: 'orderNumber totalAmount refundedAmount paymentStatus' },
+            { path: 'user', select: 'fullName email' }
+        ]
+    })
+
+    return res.status(200).json(new ApiResponse(200, refunds, "Refunds retrieved successfully"))
+})
+
+export {
+    requestRefund,
+    getMyRefunds,
+    createRefund,
+    approveRefund,
+    reconcileRefund,
+    rejectRefund,
+    getAllRefunds
+}
@@ -0,0 +1,285 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Review, REVIEW_STATUS} from "../models/review.model.js";
+import {Product} from "../models/product.model.js";
+import {Order} from "../models/order.model.js";
+import {USER_ROLES} from "../models/user.model.js";
+import {validateEnum, validateObjectId} from "../utils/validation.js";
+import {listDocuments} from "../utils/listQuery.js";
+
+// sort=helpful and sort=recent are accepted as shorthands for the underlying fields
+const REVIEW_SORT_ALIASES = {
+    helpful: 'helpfulCount',
+    recent: 'createdAt'
+}
+
+const REVIEW_LIST_OPTIONS = {
+    sortFields: ['helpfulCount', 'createdAt', 'rating'],
+    defaultSort: 'helpfulCount',
+    selectableFields: ['product', 'user', 'rating', 'title', 'body', 'verifiedPurchase', 'status', 'helpfulCount', 'createdAt', 'updatedAt'],
+    populate: { path: 'user', select: 'username fullName' }
+}
+
+const withSortAlias = (query) => ({
+    ...query,
+    sort: REVIEW_SORT_ALIASES[query.sort] || query.sort
+})
+
+// Only a delivered order counts as proof of purchase
+const hasDeliveredPurchase = async (userId, productId) => Boolean(
+    await Order.exists({ user: userId, orderStatus: 'delivered', 'items.product': productId })
+)
+
+const parseReviewBody = ({ rating, title, body }) => {
+    const fields = {}
+
+    if (rating !== undefined) {
+        const value = Number(rating)
+        if (!Number.isInteger(value) || value < 1 || value > 5) {
+            throw new ApiError(400, "Rating must be a whole number between 1 and 5")
+        }
+        fields.rating = value
+    }
+    if (title !== undefined) fields.title = String(title)
+    if (body !== undefined) fields.body = String(body)
+
+    return fields
+}
+
+const findOwnReview = async (reviewId, user) => {
+    validateObjectId(reviewId, "Review ID")
+
+    const review = await Review.findById(reviewId)
+    if (!review) {
+        throw new ApiError(404, "Review not found")
+    }
+    if (!review.user.equals(user._id)) {
+        throw new ApiError(403, "You can only change your own reviews")
+    }
+    return review
+}
+
+const createReview = asyncHandler(async (req, res) => {
+    const productId = validateObjectId(req.params.productId, "Product ID")
+    const fields = parseReviewBody(req.body)
+
+    if (fields.rating === undefined) {
+        throw new ApiError(400, "Rating is required")
+    }
+
+    const product = await Product.findById(productId).select('_id')
+    if (!product) {
+        throw new ApiError(404, "Product not found")
+    }
+
+    // The unique { product, user } index settles concurrent submissions
+    let review
+    try {
+        review = await Review.create({
+            ...fields,
+            product: productId,
+            user: req.user._id,
+            verifiedPurchase: await hasDeliveredPurchase(req.user._id, productId)
+        })
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ApiError(409, "You have already reviewed this product")
+        }
+        throw error
+    }
+    await Review.refreshProductRating(productId)
+
+    return res.status(201).json(
+        new ApiResponse(201, review, "Review submitted successfully")
+    )
+})
+
+const getProductReviews = asyncHandler(async (req, res) => {
+    const productId = validateObjectId(req.params.productId, "Product ID")
+
+    const product = await Product.findById(productId).select('averageRating ratingCount')
+    if (!product) {
+        throw new ApiError(404, "Product not found")
+    }
+
+    const filter = { product: productId, status: REVIEW_STATUS.APPROVED }
+    if (req.query.verified === 'true') {
+        filter.verifiedPurchase = true
+    }
+
+    const reviews = await listDocuments(Review, filter, withSortAlias(req.query), REVIEW_LIST_OPTIONS)
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            ...reviews,
+            averageRating: product.averageRating,
+            ratingCount: product.ratingCount
+        }, "Reviews retrieved successfully")
+    )
+})
+
+const updateReview = asyncHandler(async (req, res) => {
+    const review = await findOwnReview(req.params.id, req.user)
+    const fields = parseReviewBody(req.body)
+
+    if (Object.keys(fields).length === 0) {
+        throw new ApiError(400, "Nothing to update")
+    }
+
+    review.set(fields)
+    // An earlier approval covered the old text, so the edit stays out of listings and the rating until
+    // an admin approves it again; hidden reviews stay hidden
+    review.set({
+        status: review.status === REVIEW_STATUS.HIDDEN ? REVIEW_STATUS.HIDDEN : REVIEW_STATUS.PENDING,
+        moderatedBy: undefined,
+        moderatedAt: undefined,
+        moderationNote: undefined
+    })
+    // The author may have received the product since the review was first written
+    review.verifiedPurchase = await hasDeliveredPurchase(review.user, review.product)
+    await review.save()
+    await Review.refreshProductRating(review.product)
+
+    return res.status(200).json(
+        new ApiResponse(200, review, "Review updated and sent for moderation")
+    )
+})
+
+// Authors can delete their own reviews; admins can delete any
+const deleteReview = asyncHandler(async (req, res) => {
+    validateObjectId(req.params.id, "Review ID")
+
+    const review = await Review.findById(req.params.id)
+    if (!review) {
+        throw new ApiError(404, "Review not found")
+    }
+    if (!review.user.equals(req.user._id) && !req.user.hasRole(USER_ROLES.ADMIN)) {
+        throw new ApiError(403, "You can only delete your own reviews")
+    }
+
+    await review.deleteOne()
+    await Review.refreshProductRating(review.product)
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Review deleted successfully")
+    )
+})
+
+// Votes are tracked per user so each customer counts once; authors cannot vote on their own review
+const markReviewHelpful = asyncHandler(async (req, res) => {
+    validateObjectId(req.params.id, "Review ID")
+
+    const result = await Review.updateOne(
+        {
+            _id: req.params.id,
+            status: REVIEW_STATUS.APPROVED,
+            user: { $ne: req.user._id },
+            helpfulVoters: { $ne: req.user._id }
+        },
+        { $addToSet: { helpfulVoters: req.user._id }, $inc: { helpfulCount: 1 } }
+    )
+
+    if (result.modifiedCount === 0) {
+        const review = await Review.findById(req.params.id).select('user status')
+        if (!review || review.status !== REVIEW_STATUS.APPROVED) {
+            throw new ApiError(404, "Review not found")
+        }
+        if (review.user.equals(req.user._id)) {
+            throw new ApiError(400, "You cannot vote on your own review")
+        }
+    }
+
+    const review = await Review.findById(req.params.id).select('helpfulCount')
+    return res.status(200).json(
+        new ApiResponse(200, { helpfulCount: review.helpfulCount }, "Marked as helpful")
+    )
+})
+
+const unmarkReviewHelpful = asyncHandler(async (req, res) => {
+    validateObjectId(req.params.id, "Review ID")
+
+    const result = await Review.updateOne(
+        { _id: req.params.id, status: REVIEW_STATUS.APPROVED, helpfulVoters: req.user._id },
+        { $pull: { helpfulVoters: req.user._id }, $inc: { helpfulCount: -1 } }
+    )
+
+    if (result.modifiedCount === 0) {
+        const review = await Review.findById(req.params.id).select('status')
+        if (!review || review.status !== REVIEW_STATUS.APPROVED) {
+            throw new ApiError(404, "Review not found")
+        }
+        throw new ApiError(400, "You have not marked this review as helpful")
+    }
+
+    const review = await Review.findById(req.params.id).select('helpfulCount')
+
+    return res.status(200).json(
+        new ApiResponse(200, { helpfulCount: review.helpfulCount }, "Helpful vote removed")
+    )
+})
+
+const getAllReviews = asyncHandler(async (req, res) => {
+    const filter = {}
+
+    if (req.query.status) {
+        filter.status = validateEnum(req.query.status, Object.values(REVIEW_STATUS), 'status')
+    }
+    if (req.query.product) {
+        filter.product = validateObjectId(req.query.product, "Product ID")
+    }
+    // moderated=false lists new and edited reviews no admin has looked at yet
+    if (req.query.moderated === 'false') {
+        filter.moderatedAt = null
+    } else if (req.query.moderated === 'true') {
+        filter.moderatedAt = { $ne: null }
+    }
+
+    const reviews = await listDocuments(Review, filter, withSortAlias(req.query), {
+        ...REVIEW_LIST_OPTIONS,
+        defaultSort: 'createdAt',
+        populate: [REVIEW_LIST_OPTIONS.populate, { path: 'product', select: 'name slug' }]
+    })
+
+    return res.status(200).json(
+        new ApiResponse(200, reviews, "Reviews retrieved successfully")
+    )
+})
+
+// Approve or hide a review, including edits waiting as pending; only approved reviews count towards the product rating
+const moderateReview = asyncHandler(async (req, res) => {
+    validateObjectId(req.params.id, "Review ID")
+    const { status, note } = req.body
+
+    // Pending is only ever set by an author's edit
+    validateEnum(status, [REVIEW_STATUS.APPROVED, REVIEW_STATUS.HIDDEN], 'status')
+
+    const review = await Review.findById(req.params.id)
+    if (!review) {
+        throw new ApiError(404, "Review not found")
+    }
+
+    review.set({
+        status,
+        moderatedBy: req.user._id,
+        moderatedAt: new Date(),
+        moderationNote: note
+    })
+    await review.save()
+    await Review.refreshProductRating(review.product)
+
+    return res.status(200).json(
+        new ApiResponse(200, review, `Review ${status}`)
+    )
+})
+
+export {
+    createReview,
+    getProductReviews,
+    updateReview,
+    deleteReview,
+    markReviewHelpful,
+    unmarkReviewHelpful,
+    getAllReviews,
+    moderateReview
+}
@@ -0,0 +1,27 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Setting} from "../models/setting.model.js";
+import {getShippingRules, setShippingRules, SHIPPING_RULES_KEY} from "../shipping/index.js";
+
+const getRules = asyncHandler(async (req, res) => {
+    const rules = await getShippingRules();
+    const isDefault = !(await Setting.exists({ key: SHIPPING_RULES_KEY }));
+
+    return res.status(200).json(
+        new ApiResponse(200, { rules, isDefault }, "Shipping rules retrieved successfully")
+    );
+});
+
+// Replaces the whole rule set; it is validated before it is stored
+const updateRules = asyncHandler(async (req, res) => {
+    const rules = await setShippingRules(req.body, req.user._id);
+
+    return res.status(200).json(
+        new ApiResponse(200, { rules, isDefault: false }, "Shipping rules updated successfully")
+    );
+});
+
+export {
+    getRules,
+    updateRules
+};
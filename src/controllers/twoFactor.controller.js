@@ -0,0 +1,172 @@
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {User, USER_ROLES} from "../models/user.model.js";
+import {
+    buildOtpauthUri,
+    decryptSecret,
+    encryptSecret,
+    generateBackupCodes,
+    generateTotpSecret,
+    hashBackupCode,
+    verifyTotp
+} from "../utils/totp.js";
+import {getRequiredTwoFactorRoles, isTwoFactorRequired, setRequiredTwoFactorRoles, verifySecondFactor} from "../utils/twoFactor.js";
+import {accountThrottleKey, clearLoginFailures, getLockRemaining, ipThrottleKey, recordLoginFailure} from "../utils/loginThrottle.js";
+
+const TOTP_ISSUER = () => process.env.TOTP_ISSUER || "Shop"
+
+// Check a password and/or second factor under the same failure throttle as login,
+// so a stolen session cannot be used to brute-force the 6-digit code
+const verifyThrottled = async (req, res, user, { password, code, backupCode }) => {
+    const throttleKeys = [accountThrottleKey(user), ipThrottleKey(req.ip)]
+
+    const retryAfter = await getLockRemaining(throttleKeys)
+    if (retryAfter > 0) {
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(429, `Too many failed attempts. Try again in ${retryAfter} seconds`)
+    }
+
+    if (password !== undefined && !await user.isPasswordCorrect(String(password ?? ""))) {
+        await recordLoginFailure(throttleKeys)
+        throw new ApiError(401, "Invalid password")
+    }
+    if (!await verifySecondFactor(user._id, {code, backupCode})) {
+        await recordLoginFailure(throttleKeys)
+        throw new ApiError(401, "Invalid authentication code")
+    }
+
+    await clearLoginFailures([throttleKeys[0]])
+}
+
+// Start enrollment: a new secret is kept as pending until a code generated from it is confirmed
+const setupTwoFactor = asyncHandler(async(req, res) => {
+    if (req.user.twoFactor?.enabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled")
+    }
+
+    const secret = generateTotpSecret()
+    await User.updateOne({ _id: req.user._id }, { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {
+            secret,
+            otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email, issuer: TOTP_ISSUER() })
+        }, "Scan the code with your authenticator app, then confirm with a code from it"))
+})
+
+// Finish enrollment; the backup codes are returned this one time only
+const confirmTwoFactor = asyncHandler(async(req, res) => {
+    const {code} = req.body
+
+    const user = await User.findById(req.user._id).select("+twoFactor.pendingSecret")
+    if (!user.twoFactor?.pendingSecret) {
+        throw new ApiError(400, "Start two-factor setup first")
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret)
+    const step = verifyTotp(secret, code)
+    if (step === null) {
+        throw new ApiError(400, "Invalid authentication code")
+    }
+
+    const backupCodes = generateBackupCodes()
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            "twoFactor.enabled": true,
+            "twoFactor.enabledAt": new Date(),
+            "twoFactor.secret": user.twoFactor.pendingSecret,
+            "twoFactor.backupCodes": backupCodes.map(hashBackupCode),
+            "twoFactor.lastUsedStep": step
+        },
+        $unset: { "twoFactor.pendingSecret": 1 }
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { backupCodes }, "Two-factor authentication enabled. Store the backup codes somewhere safe"))
+})
+
+// Needs the password and a current code; not allowed while the role policy requires 2FA
+const disableTwoFactor = asyncHandler(async(req, res) => {
+    const {password, code, backupCode} = req.body
+
+    if (!req.user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled")
+    }
+    if (await isTwoFactorRequired(req.user)) {
+        throw new ApiError(403, "Two-factor authentication is required for your role")
+    }
+
+    const user = await User.findById(req.user._id)
+    await verifyThrottled(req, res, user, { password: password ?? null, code, backupCode })
+
+    await User.updateOne({ _id: user._id }, {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+            "twoFactor.enabledAt": 1,
+            "twoFactor.secret": 1,
+            "twoFactor.backupCodes": 1,
+            "twoFactor.lastUsedStep": 1
+        }
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Two-factor authentication disabled"))
+})
+
+// Replace all backup codes, e.g. after using several of them
+const regenerateBackupCodes = asyncHandler(async(req, res) => {
+    const {code} = req.body
+
+    if (!req.user.twoFactor?.enabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled")
+    }
+    await verifyThrottled(req, res, req.user, { code })
+
+    const backupCodes = generateBackupCodes()
+    await User.updateOne({ _id: req.user._id }, { $set: { "twoFactor.backupCodes": backupCodes.map(hashBackupCode) } })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { backupCodes }, "New backup codes generated"))
+})
+
+const getTwoFactorPolicy = asyncHandler(async(req, res) => {
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { requiredRoles: await getRequiredTwoFactorRoles() }, "Two-factor policy fetched"))
+})
+
+// Admin: choose the roles that must use 2FA for role-restricted endpoints
+const updateTwoFactorPolicy = asyncHandler(async(req, res) => {
+    const {requiredRoles} = req.body
+
+    const allowed = [USER_ROLES.ADMIN, USER_ROLES.STAFF]
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !allowed.includes(role))) {
+        throw new ApiError(400, `requiredRoles must be a list of: ${allowed.join(", ")}`)
+    }
+
+    // Requiring 2FA for your own role without having it would lock you out of this endpoint
+    if (requiredRoles.includes(req.user.role) && !req.user.twoFactor?.enabled) {
+        throw new ApiError(400, "Enable two-factor authentication on your own account first")
+    }
+
+    const roles = [...new Set(requiredRoles)]
+    await setRequiredTwoFactorRoles(roles, req.user._id)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { requiredRoles: roles }, "Two-factor policy updated"))
+})
+
+export {
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy
+}
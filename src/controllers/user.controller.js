@@ -2,26 +2,111 @@
 import {asyncHandler} from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js";
 import {ApiResponse} from "../utils/ApiResponse.js";
-import {User} from "../models/user.model.js";
+import {User, USER_ROLES} from "../models/user.model.js";
 import jwt from "jsonwebtoken";
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import {listDocuments} from "../utils/listQuery.js";
+import {Session, SESSION_REVOKE_REASONS} from "../models/session.model.js";
+import {tokenBlacklist} from "../utils/token.js";
+import {createChallengeToken, verifyChallengeToken, verifySecondFactor} from "../utils/twoFactor.js";
+import {accountThrottleKey, clearLoginFailures, getLockRemaining, ipThrottleKey, recordLoginFailure} from "../utils/loginThrottle.js";
+import {UserToken, TOKEN_PURPOSES} from "../models/userToken.model.js";
+import {validateEmail, validateObjectId, validatePassword} from "../utils/validation.js";
+import {sendPasswordResetEmail, sendVerificationEmail} from "../notifications/mailer.js";
+import {clearGuestCartCookie, mergeGuestCart, readGuestCartToken, verifyGuestCartToken} from "../utils/guestCart.js";
+
+// The session (token family) expires together with its refresh token
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000)
+
+// What the session needs to remember about its current access token to revoke it later
+const describeAccessToken = (accessToken) => ({
+    accessTokenJti: jwt.decode(accessToken).jti,
+    accessTokenExpiresAt: getTokenExpiry(accessToken)
+})
 
-const generateAccessAndRefereshTokens = async(userId) =>{
+// Start a new login session and issue its first access/refresh token pair
+const startSession = async (user, req) => {
     try {
-        const user = await User.findById(userId)
-        const accessToken = user.generateAccessToken()
-        const refreshToken = user.generateRefreshToken()
+        const session = new Session({
+            user: user._id,
+            userAgent: req.get("user-agent"),
+            ip: req.ip
+        })
+        const accessToken = user.generateAccessToken(session._id)
+        const refreshToken = user.generateRefreshToken(session._id)
+
+        session.set({
+            tokenHash: Session.hashToken(refreshToken),
+            expiresAt: getTokenExpiry(refreshToken),
+            ...describeAccessToken(accessToken)
+        })
+        await session.save()
+
+        return {accessToken, refreshToken, session}
+    } catch (error) {
+        throw new ApiError(500, "Something went wrong while generating referesh and access token")
+    }
+}
 
-        user.refreshToken = refreshToken
-        await user.save({ validateBeforeSave: false })
+const tokenCookieOptions = {
+    httpOnly: true,
+    secure: true
+}
 
-        return {accessToken, refreshToken}
+const EMAIL_VERIFICATION_TTL_HOURS = 24
+const PASSWORD_RESET_TTL_MINUTES = 30
 
+const sendEmailVerification = async (user) => {
+    const token = await UserToken.issue(user._id, TOKEN_PURPOSES.EMAIL_VERIFICATION, EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+    await sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS)
+}
 
+// Carry an anonymous shopper's cart over to their account; a failed merge must not block sign-in
+const mergeGuestCartOnSignIn = async (req, res, userId) => {
+    const guestId = verifyGuestCartToken(readGuestCartToken(req))
+    if (!guestId) {
+        return null
+    }
+
+    try {
+        const result = await mergeGuestCart(guestId, userId)
+        clearGuestCartCookie(res)
+        return result
     } catch (error) {
-        throw new ApiError(500, "Something went wrong while generating referesh and access token")
+        console.error("Guest cart merge failed:", error)
+        return null
     }
 }
 
+// Last step of every successful login: open a session, set the token cookies and carry over a guest cart
+const completeLogin = async (req, res, user) => {
+    const {accessToken, refreshToken} = await startSession(user, req)
+
+    const loggedInUser = await User.findById(user._id).select("-password")
+    const cartMerge = await mergeGuestCartOnSignIn(req, res, user._id)
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, tokenCookieOptions)
+        .cookie("refreshToken", refreshToken, tokenCookieOptions)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    user: loggedInUser, accessToken, refreshToken, cartMerge
+                },
+                "User logged In Successfully"
+            )
+        )
+}
+
+const INVALID_CREDENTIALS_MESSAGE = "Invalid username, email or password"
+
+// Compared against when the account does not exist, so both paths cost one bcrypt check
+let dummyPasswordHash = null
+const getDummyPasswordHash = () => (dummyPasswordHash ??= bcrypt.hash(crypto.randomUUID(), 10))
+
 const registerUser = asyncHandler( async (req, res) => {
     // get user details from frontend
     // validation - not empty
@@ -59,13 +144,22 @@ const registerUser = asyncHandler( async (req, res) => {
     })
 
     const createdUser = await User.findById(user._id).select(
-        "-password -refreshToken"
+        "-password"
     )
 
     if (!createdUser) {
         throw new ApiError(500, "Something went wrong while registering the user")
     }
 
+    await mergeGuestCartOnSignIn(req, res, createdUser._id)
+
+    // The account exists either way; the user can ask for a new link if this one never arrives
+    try {
+        await sendEmailVerification(createdUser)
+    } catch (error) {
+        console.error("Verification email failed:", error)
+    }
+
     return res.status(201).json(
         new ApiResponse(201, createdUser, "User registered Successfully")
     )
@@ -81,82 +175,112 @@ const loginUser = asyncHandler(async (req, res) =>{
     //send cookie
 
     const {email, username, password} = req.body
-    console.log(email);
 
     if (!username && !email) {
         throw new ApiError(400, "username or email is required")
     }
 
-    // Here is an alternative of above code based on logic discussed in video:
-    // if (!(username || email)) {
-    //     throw new ApiError(400, "username or email is required")
+    const identifier = String(username || email)
+    const user = await User.findOne(username ? {username: String(username)} : {email: String(email).trim().toLowerCase()})
+    const throttleKeys = [accountThrottleKey(user, identifier), ipThrottleKey(req.ip)]
 
-    // }
+    const retryAfter = await getLockRemaining(throttleKeys)
+    if (retryAfter > 0) {
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(429, `Too many failed login attempts. Try again in ${retryAfter} seconds`)
+    }
 
-    const user = await User.findOne({
-        $or: [{username}, {email}]
-    })
+    // Unknown accounts and wrong passwords look the same, down to the time spent hashing
+    let isPasswordValid = false
+    if (user) {
+        isPasswordValid = await user.isPasswordCorrect(String(password ?? ""))
+    } else {
+        await bcrypt.compare(String(password ?? ""), await getDummyPasswordHash())
+    }
 
-    if (!user) {
-        throw new ApiError(404, "User does not exist")
+    if (!isPasswordValid) {
+        await recordLoginFailure(throttleKeys)
+        throw new ApiError(401, INVALID_CREDENTIALS_MESSAGE)
     }
 
-    const isPasswordValid = await user.isPasswordCorrect(password)
+    // With 2FA on, the account counter also tracks wrong codes, so only a passed second factor may reset it
+    if (!user.twoFactor?.enabled) {
+        await clearLoginFailures([throttleKeys[0]])
+    }
 
-    if (!isPasswordValid) {
-        throw new ApiError(401, "Invalid user credentials")
+    if (process.env.REQUIRE_EMAIL_VERIFICATION === "true" && !user.emailVerified) {
+        throw new ApiError(403, "Please verify your email address before logging in")
+    }
+
+    // With 2FA on, the password only earns a short-lived challenge to exchange for tokens at /login/2fa
+    if (user.twoFactor?.enabled) {
+        return res
+            .status(200)
+            .json(new ApiResponse(
+                200,
+                { twoFactorRequired: true, challengeToken: createChallengeToken(user) },
+                "Enter the code from your authenticator app to finish logging in"
+            ))
     }
 
-    const {accessToken, refreshToken} = await generateAccessAndRefereshTokens(user._id)
+    return completeLogin(req, res, user)
+})
 
-    const loggedInUser = await User.findById(user._id).select("-password -refreshToken")
+// Second login step: a TOTP or backup code for the user named in the challenge token
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const {challengeToken, code, backupCode} = req.body
 
-    const options = {
-        httpOnly: true,
-        secure: true
+    if (!challengeToken || (!code && !backupCode)) {
+        throw new ApiError(400, "challengeToken and a code or backupCode are required")
     }
 
-    return res
-        .status(200)
-        .cookie("accessToken", accessToken, options)
-        .cookie("refreshToken", refreshToken, options)
-        .json(
-            new ApiResponse(
-                200,
-                {
-                    user: loggedInUser, accessToken, refreshToken
-                },
-                "User logged In Successfully"
-            )
-        )
+    const challenge = verifyChallengeToken(challengeToken)
+    if (!challenge || await tokenBlacklist.has(challenge.jti)) {
+        throw new ApiError(401, "Login challenge is invalid or has expired. Please log in again")
+    }
+
+    const user = await User.findById(challenge.sub)
+    if (!user) {
+        throw new ApiError(401, "Login challenge is invalid or has expired. Please log in again")
+    }
+
+    const throttleKeys = [accountThrottleKey(user), ipThrottleKey(req.ip)]
+    const retryAfter = await getLockRemaining(throttleKeys)
+    if (retryAfter > 0) {
+        res.set("Retry-After", String(retryAfter))
+        throw new ApiError(429, `Too many failed login attempts. Try again in ${retryAfter} seconds`)
+    }
+
+    const method = await verifySecondFactor(user._id, {code, backupCode})
+    if (!method) {
+        await recordLoginFailure(throttleKeys)
+        throw new ApiError(401, "Invalid authentication code")
+    }
 
+    // A challenge is good for one login only
+    await tokenBlacklist.add({ jti: challenge.jti, user: user._id, reason: "2fa_challenge_used", expiresAt: new Date(challenge.exp * 1000) })
+    await clearLoginFailures([throttleKeys[0]])
+
+    return completeLogin(req, res, user)
 })
 
+// Ends only the session this request belongs to; other devices stay signed in
 const logoutUser = asyncHandler(async(req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: {
-                refreshToken: 1 // this removes the field from document
-            }
-        },
-        {
-            new: true
-        }
-    )
-
-    const options = {
-        httpOnly: true,
-        secure: true
+    if (req.sessionId) {
+        await Session.revoke({ _id: req.sessionId, user: req.user._id }, SESSION_REVOKE_REASONS.LOGOUT)
     }
+    // The token used for this request is revoked even if its session is already gone
+    await tokenBlacklist.add({ ...req.accessToken, user: req.user._id, reason: SESSION_REVOKE_REASONS.LOGOUT })
 
     return res
         .status(200)
-        .clearCookie("accessToken", options)
-        .clearCookie("refreshToken", options)
+        .clearCookie("accessToken", tokenCookieOptions)
+        .clearCookie("refreshToken", tokenCookieOptions)
         .json(new ApiResponse(200, {}, "User logged Out"))
 })
 
+// Rotate the refresh token. Only the latest token of a session is accepted; an older one being
+// presented means it was copied, so the whole session is revoked and the user has to log in again.
 const refreshAccessToken = asyncHandler(async (req, res) => {
     const incomingRefreshToken = req.cookies.refreshToken || req.body.refreshToken
 
@@ -164,45 +288,95 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
         throw new ApiError(401, "unauthorized request")
     }
 
+    let decodedToken
     try {
-        const decodedToken = jwt.verify(
+        decodedToken = jwt.verify(
             incomingRefreshToken,
             process.env.REFRESH_TOKEN_SECRET
         )
+    } catch (error) {
+        throw new ApiError(401, error?.message || "Invalid refresh token")
+    }
 
-        const user = await User.findById(decodedToken?._id)
+    const user = await User.findById(decodedToken?._id)
+    if (!user || !decodedToken.sid) {
+        throw new ApiError(401, "Invalid refresh token")
+    }
 
-        if (!user) {
-            throw new ApiError(401, "Invalid refresh token")
+    const newRefreshToken = user.generateRefreshToken(decodedToken.sid)
+    const accessToken = user.generateAccessToken(decodedToken.sid)
+    const previousSession = await Session.findOneAndUpdate(
+        {
+            _id: decodedToken.sid,
+            user: user._id,
+            tokenHash: Session.hashToken(incomingRefreshToken),
+            revokedAt: null
+        },
+        {
+            $set: {
+                tokenHash: Session.hashToken(newRefreshToken),
+                expiresAt: getTokenExpiry(newRefreshToken),
+                lastUsedAt: new Date(),
+                ip: req.ip,
+                ...describeAccessToken(accessToken)
+            }
         }
+    ).select("+accessTokenJti +accessTokenExpiresAt")
 
-        if (incomingRefreshToken !== user?.refreshToken) {
-            throw new ApiError(401, "Refresh token is expired or used")
+    if (!previousSession) {
+        const revoked = await Session.revoke({ _id: decodedToken.sid, user: user._id }, SESSION_REVOKE_REASONS.TOKEN_REUSE)
+        throw new ApiError(401, revoked.modifiedCount
+            ? "Refresh token reuse detected. Please log in again"
+            : "Refresh token is expired or used")
+    }
 
-        }
+    // The access token issued with the previous refresh token is superseded
+    await tokenBlacklist.add({
+        jti: previousSession.accessTokenJti,
+        user: user._id,
+        reason: "refreshed",
+        expiresAt: previousSession.accessTokenExpiresAt
+    })
 
-        const options = {
-            httpOnly: true,
-            secure: true
-        }
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, tokenCookieOptions)
+        .cookie("refreshToken", newRefreshToken, tokenCookieOptions)
+        .json(
+            new ApiResponse(
+                200,
+                {accessToken, refreshToken: newRefreshToken},
+                "Access token refreshed"
+            )
+        )
+})
 
-        const {accessToken, newRefreshToken} = await generateAccessAndRefereshTokens(user._id)
+const getSessions = asyncHandler(async(req, res) => {
+    const sessions = await Session.findActiveForUser(req.user._id)
+        .select("device userAgent ip lastUsedAt createdAt expiresAt")
+        .lean()
 
-        return res
-            .status(200)
-            .cookie("accessToken", accessToken, options)
-            .cookie("refreshToken", newRefreshToken, options)
-            .json(
-                new ApiResponse(
-                    200,
-                    {accessToken, refreshToken: newRefreshToken},
-                    "Access token refreshed"
-                )
-            )
-    } catch (error) {
-        throw new ApiError(401, error?.message || "Invalid refresh token")
+    return res
+        .status(200)
+        .json(new ApiResponse(
+            200,
+            sessions.map(session => ({ ...session, current: String(session._id) === String(req.sessionId) })),
+            "Sessions fetched successfully"
+        ))
+})
+
+// Sign out one of the user's devices
+const revokeSession = asyncHandler(async(req, res) => {
+    const id = validateObjectId(req.params.id, "Session ID")
+
+    const result = await Session.revoke({ _id: id, user: req.user._id }, SESSION_REVOKE_REASONS.USER_REVOKED)
+    if (result.modifiedCount === 0) {
+        throw new ApiError(404, "Session not found")
     }
 
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Session revoked"))
 })
 
 const changeCurrentPassword = asyncHandler(async(req, res) => {
@@ -220,6 +394,9 @@ const changeCurrentPassword = asyncHandler(async(req, res) => {
     user.password = newPassword
     await user.save({validateBeforeSave: false})
 
+    // Sign out every other device; this one stays logged in
+    await Session.revoke({ user: user._id, _id: { $ne: req.sessionId } }, SESSION_REVOKE_REASONS.PASSWORD_CHANGE)
+
     return res
         .status(200)
         .json(new ApiResponse(200, {}, "Password changed successfully"))
@@ -243,60 +420,224 @@ const updateAccountDetails = asyncHandler(async(req, res) => {
         throw new ApiError(400, "All fields are required")
     }
 
+    // A new address has to be verified again
+    const emailChanged = email.trim().toLowerCase() !== req.user.email
+    const update = { fullName, email }
+    if (emailChanged) {
+        update.emailVerified = false
+        update.emailVerifiedAt = null
+    }
+
     const user = await User.findByIdAndUpdate(
         req.user?._id,
         {
-            $set: {
-                fullName,
-                email: email
-            }
+            $set: update
         },
         {new: true}
 
     ).select("-password")
 
+    if (emailChanged) {
+        try {
+            await sendEmailVerification(user)
+        } catch (error) {
+            console.error("Verification email failed:", error)
+        }
+    }
+
     return res
         .status(200)
         .json(new ApiResponse(200, user, "Account details updated successfully"))
 });
 
+// Consume a verification link token; the token identifies the user, no login needed
 const verifyEmail = asyncHandler(async(req, res) => {
     const {token} = req.body
 
     if (!token) {
         throw new ApiError(400, "Token is required")
     }
-    try {
 
-        const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
+    const userToken = await UserToken.consume(token, TOKEN_PURPOSES.EMAIL_VERIFICATION)
+    if (!userToken) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
 
-        const user = await User.findById(decodedToken?._id)
+    const user = await User.findByIdAndUpdate(
+        userToken.user,
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+        { new: true }
+    )
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
 
-        if (!user) {
-            throw new ApiError(404, "User not found")
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Email verified successfully"))
+})
+
+const resendVerificationEmail = asyncHandler(async(req, res) => {
+    if (req.user.emailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    await sendEmailVerification(req.user)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Verification email sent"))
+})
+
+// Always answers the same way so the endpoint cannot be used to find out which emails have accounts
+const forgotPassword = asyncHandler(async(req, res) => {
+    const email = validateEmail(req.body.email)
+
+    const user = await User.findOne({ email })
+    if (user) {
+        const token = await UserToken.issue(user._id, TOKEN_PURPOSES.PASSWORD_RESET, PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+        try {
+            await sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES)
+        } catch (error) {
+            console.error("Password reset email failed:", error)
         }
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "If an account exists for that email, a reset link has been sent"))
+})
+
+const resetPassword = asyncHandler(async(req, res) => {
+    const {token, newPassword} = req.body
+
+    if (!token) {
+        throw new ApiError(400, "Token is required")
+    }
+    validatePassword(newPassword)
+
+    const userToken = await UserToken.consume(token, TOKEN_PURPOSES.PASSWORD_RESET)
+    if (!userToken) {
+        throw new ApiError(400, "Reset link is invalid or has expired")
+    }
+
+    const user = await User.findById(userToken.user)
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
 
+    // Reaching the inbox proves ownership of the address, and existing logins are signed out
+    user.password = newPassword
+    if (!user.emailVerified) {
         user.emailVerified = true
-        await user.save({validateBeforeSave: false})
+        user.emailVerifiedAt = new Date()
+    }
+    await user.save({validateBeforeSave: false})
+    await Session.revoke({ user: user._id }, SESSION_REVOKE_REASONS.PASSWORD_RESET)
 
-        return res
-            .status(200)
-            .json(new ApiResponse(200, {}, "Email verified successfully"))
-        } catch (error) {
-        throw new ApiError(400, error?.message || "Invalid token")
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Password has been reset. Please log in with your new password"))
+})
+
+const getAllUsers = asyncHandler(async(req, res) => {
+    const {role} = req.query
+
+    const filter = {}
+    if (role) {
+        if (!Object.values(USER_ROLES).includes(role)) {
+            throw new ApiError(400, "Invalid role")
+        }
+        filter.role = role
     }
+
+    const users = await listDocuments(User, filter, req.query, {
+        sortFields: ["createdAt", "updatedAt", "username", "email"],
+        selectableFields: ["username", "email", "fullName", "role", "createdAt", "updatedAt"]
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, users, "Users fetched successfully"))
 })
 
+// Promote or demote a user (admin only)
+const updateUserRole = asyncHandler(async(req, res) => {
+    const {id} = req.params
+    const {role} = req.body
 
+    if (!Object.values(USER_ROLES).includes(role)) {
+        throw new ApiError(400, `Role must be one of: ${Object.values(USER_ROLES).join(", ")}`)
+    }
+
+    if (req.user._id.toString() === id) {
+        throw new ApiError(400, "You cannot change your own role")
+    }
+
+    const user = await User.findByIdAndUpdate(
+        id,
+        { $set: { role } },
+        { new: true, runValidators: true }
+    ).select("-password")
 
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user, `User role updated to ${role}`))
+})
+
+
+// Admin: end every session of a user; their access tokens stop working immediately
+const forceLogoutUser = asyncHandler(async(req, res) => {
+    const id = validateObjectId(req.params.id, "User ID")
+
+    if (!await User.exists({ _id: id })) {
+        throw new ApiError(404, "User not found")
+    }
+
+    const result = await Session.revoke({ user: id }, SESSION_REVOKE_REASONS.FORCED_LOGOUT)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { revokedSessions: result.modifiedCount }, "User logged out from all devices"))
+})
+
+// Admin: clear the failed-login lockout of an account
+const unlockUser = asyncHandler(async(req, res) => {
+    const id = validateObjectId(req.params.id, "User ID")
+
+    const user = await User.findById(id).select("_id")
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    await clearLoginFailures([accountThrottleKey(user)])
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, {}, "Account unlocked"))
+})
 
 export {
     registerUser,
     loginUser,
+    verifyTwoFactorLogin,
     logoutUser,
     refreshAccessToken,
     changeCurrentPassword,
     getCurrentUser,
     updateAccountDetails,
     verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeSession,
+    getAllUsers,
+    updateUserRole,
+    forceLogoutUser,
+    unlockUser,
 }
\ No newline at end of file
@@ -0,0 +1,223 @@
+import mongoose from "mongoose";
+import {asyncHandler} from "../utils/asyncHandler.js";
+import {ApiError} from "../utils/ApiError.js";
+import {ApiResponse} from "../utils/ApiResponse.js";
+import {Wishlist} from "../models/wishlist.model.js";
+import {Cart} from "../models/cart.model.js";
+import {Product, PRODUCT_STATUS} from "../models/product.model.js";
+import {lineItemKey, roundCurrency} from "../utils/pricing.js";
+import {validateObjectId} from "../utils/validation.js";
+
+// Load a product and the requested variant, insisting on a variant for products sold in variants
+const loadProductVariant = async (productId, variantId, session = null) => {
+    validateObjectId(productId, "Product ID");
+
+    const product = await Product.findById(productId).session(session);
+    if (!product) {
+        throw new ApiError(404, "Product not found");
+    }
+
+    const variant = product.resolveVariant(variantId);
+    if (product.variants.length && !variant) {
+        throw new ApiError(400, "Please select a valid variant");
+    }
+
+    return { product, variant };
+};
+
+const findLineIndex = (items, productId, variantId) => {
+    const key = lineItemKey({ product: productId, variant: variantId });
+    return items.findIndex(item => lineItemKey(item) === key);
+};
+
+// Wishlist line with the live price and stock of the product
+const describeWishlistItem = (item) => {
+    const product = item.product;
+
+    // Deleted products no longer populate
+    if (!product) {
+        return { ...item.toObject(), product: null, available: false, inStock: false, priceDropped: false };
+    }
+
+    const variant = product.resolveVariant(item.variant);
+    const currentPrice = product.getUnitPrice(variant);
+    const stock = variant ? variant.stock : product.stock;
+
+    return {
+        product: {
+            _id: product._id,
+            name: product.name,
+            slug: product.slug,
+            image: variant?.image || product.image,
+            status: product.status
+        },
+        variant: variant ? { _id: variant._id, sku: variant.sku, options: variant.options } : null,
+        addedAt: item.addedAt,
+        priceWhenSaved: item.priceWhenSaved,
+        currentPrice,
+        stock,
+        available: product.status === PRODUCT_STATUS.ACTIVE && (!variant || variant.isActive),
+        inStock: stock > 0,
+        priceDropped: currentPrice < item.priceWhenSaved,
+        priceDrop: Math.max(roundCurrency(item.priceWhenSaved - currentPrice), 0)
+    };
+};
+
+const getWishlist = asyncHandler(async (req, res) => {
+    const wishlist = await Wishlist.findOne({ user: req.user._id }).populate("items.product");
+
+    const items = (wishlist?.items || []).map(describeWishlistItem);
+
+    return res.status(200).json(
+        new ApiResponse(200, {
+            items,
+            totalItems: items.length,
+            priceDrops: items.filter(item => item.priceDropped).length
+        }, "Wishlist retrieved successfully")
+    );
+});
+
+const addToWishlist = asyncHandler(async (req, res) => {
+    const { product: productId, variant: variantId = null } = req.body;
+    const { product, variant } = await loadProductVariant(productId, variantId);
+
+    const wishlist = await Wishlist.findOne({ user: req.user._id }) || new Wishlist({ user: req.user._id });
+
+    if (findLineIndex(wishlist.items, product._id, variant?._id) !== -1) {
+        return res.status(200).json(
+            new ApiResponse(200, wishlist, "Product is already in your wishlist")
+        );
+    }
+
+    wishlist.items.push({
+        product: product._id,
+        variant: variant?._id || null,
+        priceWhenSaved: product.getUnitPrice(variant)
+    });
+    await wishlist.save();
+
+    return res.status(201).json(
+        new ApiResponse(201, wishlist, "Product added to wishlist")
+    );
+});
+
+const removeFromWishlist = asyncHandler(async (req, res) => {
+    const productId = validateObjectId(req.params.productId, "Product ID");
+    const variantId = req.query.variant || null;
+
+    const wishlist = await Wishlist.findOne({ user: req.user._id });
+    const index = wishlist ? findLineIndex(wishlist.items, productId, variantId) : -1;
+
+    if (index === -1) {
+        throw new ApiError(404, "Product not found in wishlist");
+    }
+
+    wishlist.items.splice(index, 1);
+    await wishlist.save();
+
+    return res.status(200).json(
+        new ApiResponse(200, wishlist, "Product removed from wishlist")
+    );
+});
+
+// Wishlist -> cart; the cart line is capped at the stock currently available
+const moveToCart = asyncHandler(async (req, res) => {
+    const productId = validateObjectId(req.params.productId, "Product ID");
+    const variantId = req.query.variant || req.body?.variant || null;
+    const quantity = Number(req.body?.quantity ?? 1);
+    const userId = req.user._id;
+
+    if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ApiError(400, "Quantity must be a positive whole number");
+    }
+
+    const cart = await mongoose.connection.transaction(async (session) => {
+        const wishlist = await Wishlist.findOne({ user: userId }).session(session);
+        const index = wishlist ? findLineIndex(wishlist.items, productId, variantId) : -1;
+        if (index === -1) {
+            throw new ApiError(404, "Product not found in wishlist");
+        }
+
+        const { product, variant } = await loadProductVariant(productId, wishlist.items[index].variant, session);
+        const stock = variant ? variant.stock : product.stock;
+
+        if (product.status !== PRODUCT_STATUS.ACTIVE || (variant && !variant.isActive)) {
+            throw new ApiError(400, `${product.name} is not available for purchase`);
+        }
+
+        const cart = await Cart.findOne({ user: userId }).session(session) || new Cart({ user: userId });
+        const cartIndex = findLineIndex(cart.items, product._id, variant?._id);
+        const inCart = cartIndex === -1 ? 0 : cart.items[cartIndex].quantity;
+
+        if (inCart + quantity > stock) {
+            throw new ApiError(400, `Only ${stock} unit(s) of ${product.name} available`);
+        }
+
+        if (cartIndex === -1) {
+            cart.items.push({
+                product: product._id,
+                variant: variant?._id || null,
+                quantity,
+                priceAtAddTime: product.getUnitPrice(variant)
+            });
+        } else {
+            cart.items[cartIndex].quantity += quantity;
+        }
+
+        wishlist.items.splice(index, 1);
+        await wishlist.save({ session });
+        await cart.save({ session });
+        return cart;
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, cart, "Product moved to cart")
+    );
+});
+
+// Cart -> wishlist, remembering today's price for the price-drop flag
+const saveForLater = asyncHandler(async (req, res) => {
+    const productId = validateObjectId(req.params.id, "Product ID");
+    const variantId = req.query.variant || null;
+    const userId = req.user._id;
+
+    const wishlist = await mongoose.connection.transaction(async (session) => {
+        const cart = await Cart.findOne({ user: userId }).session(session);
+        const cartIndex = cart
+            ? cart.items.findIndex(item => item.product.toString() === productId &&
+                (!variantId || item.variant?.toString() === variantId))
+            : -1;
+        if (cartIndex === -1) {
+            throw new ApiError(404, "Product not found in cart");
+        }
+
+        const [line] = cart.items.splice(cartIndex, 1);
+        const product = await Product.findById(productId).session(session);
+        const variant = product?.resolveVariant(line.variant);
+
+        const wishlist = await Wishlist.findOne({ user: userId }).session(session) || new Wishlist({ user: userId });
+        if (findLineIndex(wishlist.items, productId, line.variant) === -1) {
+            wishlist.items.push({
+                product: line.product,
+                variant: line.variant,
+                priceWhenSaved: product ? product.getUnitPrice(variant) : line.priceAtAddTime
+            });
+        }
+
+        await cart.save({ session });
+        await wishlist.save({ session });
+        return wishlist;
+    });
+
+    return res.status(200).json(
+        new ApiResponse(200, wishlist, "Product saved for later")
+    );
+});
+
+export {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    moveToCart,
+    saveForLater
+}
@@ -1,11 +1,14 @@
 import mongoose from "mongoose";
 import { DB_NAME } from "../constants.js";
+import { Cart } from "../models/cart.model.js";
 
 
 const connectDB = async () => {
     try {
         const connectionInstance = await mongoose.connect(`${process.env.MONGODB_URI}/${DB_NAME}`)
         console.log(`\n MongoDB connected !! DB HOST: ${connectionInstance.connection.host}`);
+        // Index changes autoIndex cannot apply by itself
+        await Cart.dropLegacyUserIndex()
     } catch (error) {
         console.log("MONGODB connection FAILED ", error);
         process.exit(1)
@@ -0,0 +1,156 @@
+import { Cart } from "../models/cart.model.js";
+import { notify } from "../notifications/index.js";
+
+/**
+ * Abandoned cart detection and reminders
+ * A cart is abandoned when it belongs to a user, still has items, has not been touched for
+ * ABANDONED_CART_AFTER_HOURS and the user has not placed an order since it was last touched.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_BATCH_SIZE = 200;
+
+// Read lazily: dotenv is loaded after the modules are imported
+export const getAbandonedCartSettings = () => ({
+    abandonAfterHours: Number(process.env.ABANDONED_CART_AFTER_HOURS) || 24,
+    maxReminders: Number(process.env.ABANDONED_CART_MAX_REMINDERS) || 2,
+    reminderIntervalHours: Number(process.env.ABANDONED_CART_REMINDER_INTERVAL_HOURS) || 24,
+    jobIntervalMinutes: Number(process.env.ABANDONED_CART_JOB_INTERVAL_MINUTES) || 60
+});
+
+/**
+ * Aggregation stages matching abandoned carts, with the owner and the reminders sent since the cart was last touched
+ */
+export const abandonedCartStages = ({ abandonAfterHours, now = new Date() }) => [
+    {
+        $match: {
+            user: { $exists: true },
+            "items.0": { $exists: true },
+            updatedAt: { $lte: new Date(now.getTime() - abandonAfterHours * HOUR_MS) }
+        }
+    },
+    {
+        $lookup: {
+            from: "orders",
+            let: { user: "$user", since: "$updatedAt" },
+            pipeline: [
+                { $match: { $expr: { $and: [{ $eq: ["$user", "$$user"] }, { $gte: ["$createdAt", "$$since"] }] } } },
+                { $limit: 1 },
+                { $project: { _id: 1 } }
+            ],
+            as: "laterOrders"
+        }
+    },
+    { $match: { laterOrders: { $size: 0 } } },
+    {
+        $lookup: {
+            from: "users",
+            localField: "user",
+            foreignField: "_id",
+            pipeline: [{ $project: { email: 1, fullName: 1, username: 1 } }],
+            as: "user"
+        }
+    },
+    { $unwind: "$user" },
+    {
+        $addFields: {
+            currentReminders: {
+                $filter: { input: { $ifNull: ["$reminders", []] }, cond: { $gte: ["$$this.sentAt", "$updatedAt"] } }
+            }
+        }
+    },
+    {
+        $project: {
+            user: 1,
+            items: 1,
+            couponCode: 1,
+            totalPrice: 1,
+            totalItems: 1,
+            updatedAt: 1,
+            reminderCount: { $size: "$currentReminders" },
+            lastReminderAt: { $max: "$currentReminders.sentAt" }
+        }
+    }
+];
+
+const buildReminder = (cart) => ({
+    to: cart.user.email,
+    type: "abandoned_cart",
+    subject: "You left something in your cart",
+    text: `Hi ${cart.user.fullName || cart.user.username}, you still have ${cart.totalItems} item(s) worth ${cart.totalPrice} waiting in your cart.`,
+    data: { cartId: cart._id, totalItems: cart.totalItems, totalPrice: cart.totalPrice }
+});
+
+/**
+ * Claim a cart for one reminder by recording a pending attempt.
+ * Only succeeds if the cart is unchanged and no other run has recorded an attempt since the aggregation read it,
+ * so overlapping runs (or several API processes) never remind the same cart twice.
+ */
+const claimCart = async (cart, sentAt) => {
+    const lastSeen = cart.lastReminderAt || cart.updatedAt;
+    const { modifiedCount } = await Cart.updateOne(
+        {
+            _id: cart._id,
+            updatedAt: cart.updatedAt,
+            reminders: { $not: { $elemMatch: { sentAt: { $gt: lastSeen } } } }
+        },
+        { $push: { reminders: { sentAt, status: "pending" } } },
+        { timestamps: false }
+    );
+    return modifiedCount === 1;
+};
+
+/**
+ * Send one reminder to each abandoned cart that is due one and record the attempt on the cart.
+ * Failed attempts are recorded too and count towards the reminder limit.
+ */
+export const sendAbandonedCartReminders = async ({ now = new Date() } = {}) => {
+    const { abandonAfterHours, maxReminders, reminderIntervalHours } = getAbandonedCartSettings();
+
+    const carts = await Cart.aggregate([
+        ...abandonedCartStages({ abandonAfterHours, now }),
+        {
+            $match: {
+                reminderCount: { $lt: maxReminders },
+                $or: [
+                    { lastReminderAt: null },
+                    { lastReminderAt: { $lte: new Date(now.getTime() - reminderIntervalHours * HOUR_MS) } }
+                ]
+            }
+        },
+        { $limit: REMINDER_BATCH_SIZE }
+    ]);
+
+    let sent = 0;
+    let failed = 0;
+    let skipped = 0;
+
+    for (const cart of carts) {
+        const sentAt = new Date();
+        if (!(await claimCart(cart, sentAt))) {
+            skipped += 1;
+            continue;
+        }
+
+        const outcome = { status: "sent" };
+        try {
+            outcome.transport = (await notify(buildReminder(cart))).transport;
+            sent += 1;
+        } catch (error) {
+            outcome.status = "failed";
+            outcome.error = String(error.message).slice(0, 200);
+            failed += 1;
+        }
+
+        const $set = Object.fromEntries(
+            Object.entries(outcome).map(([key, value]) => [`reminders.$[attempt].${key}`, value])
+        );
+        await Cart.updateOne(
+            { _id: cart._id },
+            { $set },
+            { arrayFilters: [{ "attempt.sentAt": sentAt, "attempt.status": "pending" }], timestamps: false }
+        );
+    }
+
+    return { checked: carts.length, sent, failed, skipped };
+};
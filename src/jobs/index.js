@@ -0,0 +1,21 @@
+import { createJobRunner } from "./runner.js";
+import { getAbandonedCartSettings, sendAbandonedCartReminders } from "./abandonedCart.job.js";
+
+/**
+ * Background jobs running inside the API process; opt in with JOBS_ENABLED=true on the one process that should run them
+ */
+export const jobRunner = createJobRunner();
+
+let started = false;
+
+export const startJobs = () => {
+    if (started || process.env.JOBS_ENABLED !== "true") return;
+    started = true;
+
+    jobRunner.register("abandoned-cart-reminders", {
+        intervalMs: getAbandonedCartSettings().jobIntervalMinutes * 60 * 1000,
+        run: () => sendAbandonedCartReminders()
+    });
+
+    jobRunner.start();
+};
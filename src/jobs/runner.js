@@ -0,0 +1,65 @@
+/**
+ * In-process job runner
+ * Jobs run on a fixed interval; a run that is still going when the next tick fires is skipped,
+ * and a failing run is logged without stopping later ones.
+ */
+export const createJobRunner = () => {
+    const jobs = new Map();
+
+    const runJob = async (job) => {
+        if (job.running) return;
+
+        job.running = true;
+        job.lastRunAt = new Date();
+        try {
+            job.lastResult = await job.run();
+            job.lastError = null;
+        } catch (error) {
+            job.lastError = error.message;
+            console.error(`Job '${job.name}' failed:`, error);
+        } finally {
+            job.running = false;
+        }
+    };
+
+    return {
+        register(name, { intervalMs, run, runOnStart = false }) {
+            if (jobs.has(name)) {
+                throw new Error(`Job '${name}' is already registered`);
+            }
+            jobs.set(name, { name, intervalMs, run, runOnStart, timer: null, running: false, lastRunAt: null, lastResult: null, lastError: null });
+        },
+
+        start() {
+            for (const job of jobs.values()) {
+                if (job.timer) continue;
+                job.timer = setInterval(() => runJob(job), job.intervalMs);
+                // Timers alone should not keep the process alive
+                job.timer.unref();
+                if (job.runOnStart) runJob(job);
+            }
+        },
+
+        stop() {
+            for (const job of jobs.values()) {
+                clearInterval(job.timer);
+                job.timer = null;
+            }
+        },
+
+        // Run a job immediately, e.g. from an admin endpoint
+        async runNow(name) {
+            const job = jobs.get(name);
+            if (!job) {
+                throw new Error(`Unknown job '${name}'`);
+            }
+            await runJob(job);
+            return { lastRunAt: job.lastRunAt, lastResult: job.lastResult, lastError: job.lastError };
+        },
+
+        status() {
+            return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastResult, lastError }) =>
+                ({ name, intervalMs, running, lastRunAt, lastResult, lastError }));
+        }
+    };
+};
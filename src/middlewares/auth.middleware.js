@@ -2,6 +2,8 @@ import {asyncHandler} from "../utils/asyncHandler.js";
 import {ApiError} from "../utils/ApiError.js";
 import jwt from "jsonwebtoken";
 import {User} from "../models/user.model.js";
+import {tokenBlacklist} from "../utils/token.js";
+import {isTwoFactorRequired} from "../utils/twoFactor.js";
 
 
 export const isAuthenticated = asyncHandler(async(req, _, next) => {
@@ -15,7 +17,12 @@ export const isAuthenticated = asyncHandler(async(req, _, next) => {
 
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET)
 
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken")
+        // Every access token carries a jti; revoked ones are rejected even before they expire
+        if (!decodedToken?.jti || await tokenBlacklist.has(decodedToken.jti)) {
+            throw new ApiError(401, "Access token has been revoked")
+        }
+
+        const user = await User.findById(decodedToken?._id).select("-password")
 
         if (!user) {
 
@@ -23,9 +30,45 @@ export const isAuthenticated = asyncHandler(async(req, _, next) => {
         }
 
         req.user = user;
+        req.sessionId = decodedToken.sid
+        req.accessToken = { jti: decodedToken.jti, expiresAt: new Date(decodedToken.exp * 1000) }
         next()
     } catch (error) {
         throw new ApiError(401, error?.message || "Invalid access token")
     }
 
-})
\ No newline at end of file
+})
+// Like isAuthenticated, but lets anonymous requests through without req.user
+export const optionalAuthentication = async (req, _, next) => {
+    const token = req.cookies?.accessToken || req.header("Authorization")?.replace("Bearer ", "")
+
+    let decodedToken = null
+    try {
+        decodedToken = token ? jwt.verify(token, process.env.ACCESS_TOKEN_SECRET) : null
+    } catch {
+        // Expired or invalid tokens are treated as anonymous
+    }
+
+    if (decodedToken?.jti && !await tokenBlacklist.has(decodedToken.jti)) {
+        req.user = await User.findById(decodedToken._id).select("-password") || undefined
+    }
+    next()
+}
+
+// Must run after isAuthenticated so that req.user is populated.
+// Roles that the admin 2FA policy covers also need two-factor authentication enabled.
+export const authorizeRoles = (...roles) => async (req, _, next) => {
+    if (!req.user) {
+        return next(new ApiError(401, "Unauthorized request"))
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return next(new ApiError(403, `Role '${req.user.role}' is not allowed to access this resource`))
+    }
+
+    if (!req.user.twoFactor?.enabled && await isTwoFactorRequired(req.user)) {
+        return next(new ApiError(403, "Two-factor authentication must be enabled for your role. Set it up under /users/2fa/setup"))
+    }
+
+    next()
+}
@@ -0,0 +1,20 @@
+import { createGuestCartToken, readGuestCartToken, setGuestCartCookie, verifyGuestCartToken } from "../utils/guestCart.js";
+
+// Identify whose cart the request works on: the signed-in user, or a guest identified by the cart token.
+// Must run after optionalAuthentication. Guests without a valid token get a fresh one.
+export const resolveCartOwner = (req, res, next) => {
+    if (req.user) {
+        req.cartOwner = { user: req.user._id }
+        return next()
+    }
+
+    let guestId = verifyGuestCartToken(readGuestCartToken(req))
+    if (!guestId) {
+        const guest = createGuestCartToken()
+        guestId = guest.guestId
+        setGuestCartCookie(res, guest.token)
+    }
+
+    req.cartOwner = { guestId }
+    next()
+}
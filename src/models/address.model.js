@@ -0,0 +1,55 @@
+import mongoose from 'mongoose'
+
+const MAX_ADDRESSES_PER_USER = 20
+
+const addressSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Optional nickname shown in the address picker, e.g. "Home" or "Office"
+    label: {
+        type: String,
+        trim: true,
+        maxlength: 30
+    },
+    fullName: { type: String, required: true, trim: true, maxlength: 100 },
+    phone: { type: String, required: true, trim: true },
+    street: { type: String, required: true, trim: true, maxlength: 200 },
+    city: { type: String, required: true, trim: true, maxlength: 100 },
+    state: { type: String, required: true, trim: true, maxlength: 100 },
+    postalCode: { type: String, required: true, trim: true },
+    country: { type: String, default: 'India', trim: true },
+    isDefaultShipping: {
+        type: Boolean,
+        default: false
+    },
+    isDefaultBilling: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+})
+
+addressSchema.index({ user: 1, createdAt: -1 })
+// At most one default of each kind per user
+addressSchema.index({ user: 1, isDefaultShipping: 1 }, { unique: true, partialFilterExpression: { isDefaultShipping: true } })
+addressSchema.index({ user: 1, isDefaultBilling: 1 }, { unique: true, partialFilterExpression: { isDefaultBilling: true } })
+
+// Copy of the address in the shape stored on orders, so later edits don't rewrite order history
+addressSchema.methods.toSnapshot = function() {
+    return {
+        fullName: this.fullName,
+        phone: this.phone,
+        street: this.street,
+        city: this.city,
+        state: this.state,
+        postalCode: this.postalCode,
+        country: this.country
+    }
+}
+
+export { MAX_ADDRESSES_PER_USER }
+export const Address = mongoose.model('Address', addressSchema)
@@ -6,6 +6,11 @@ const cartItemSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
     },
+    // Set when the product is sold in variants (size, color, ...)
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
     quantity: {
         type: Number,
         required: true,
@@ -19,14 +24,47 @@ const cartItemSchema = new mongoose.Schema({
     }
 }, { _id: false })
 
+// One reminder attempt for an abandoned cart
+const cartReminderSchema = new mongoose.Schema({
+    sentAt: {
+        type: Date,
+        default: Date.now
+    },
+    // pending while the job that claimed the cart is sending; a crash leaves it pending so the cart is not reminded twice
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed'],
+        required: true
+    },
+    transport: {
+        type: String
+    },
+    error: {
+        type: String,
+        maxlength: 200
+    }
+}, { _id: false })
+
 const cartSchema = new mongoose.Schema({
+    // Exactly one of user or guestId is set; guest carts are keyed by the id inside the signed cart token
     user: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true,
-        unique: true
+        ref: 'User'
+    },
+    guestId: {
+        type: String
+    },
+    // Guest carts expire after a period of inactivity; user carts never do
+    expiresAt: {
+        type: Date
     },
     items: [cartItemSchema],
+    couponCode: {
+        type: String,
+        default: null,
+        uppercase: true,
+        trim: true
+    },
     totalPrice: {
         type: Number,
         default: 0,
@@ -36,16 +74,58 @@ const cartSchema = new mongoose.Schema({
         type: Number,
         default: 0,
         min: 0
+    },
+    // Written with timestamps disabled so reminders never reset the abandonment clock (updatedAt)
+    reminders: {
+        type: [cartReminderSchema],
+        default: []
     }
 }, {
     timestamps: true
 })
 
+const GUEST_CART_TTL_DAYS = 30
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } })
+cartSchema.index({ guestId: 1 }, { unique: true, partialFilterExpression: { guestId: { $exists: true } } })
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+cartSchema.index({ updatedAt: 1 })
+
+// Older databases have a plain unique user_1 index from when every cart had a user. It indexes guest
+// carts as user: null, so the second guest cart fails, and autoIndex cannot replace it with the partial
+// index above because the names clash. Drop it and build the partial one; a no-op once migrated.
+cartSchema.statics.dropLegacyUserIndex = async function () {
+    let indexes
+    try {
+        indexes = await this.collection.indexes()
+    } catch (error) {
+        // NamespaceNotFound: no carts collection yet, autoIndex will create the right index
+        if (error.code === 26) return
+        throw error
+    }
+
+    const legacy = indexes.find((index) => index.name === 'user_1' && !index.partialFilterExpression)
+    if (!legacy) return
+
+    await this.collection.dropIndex('user_1')
+    await this.createIndexes()
+}
+
+cartSchema.pre('validate', function(next) {
+    if (Boolean(this.user) === Boolean(this.guestId)) {
+        return next(new Error('A cart belongs to either a user or a guest'))
+    }
+    next()
+})
+
 cartSchema.pre('save', function(next) {
+    if (this.guestId) {
+        this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000)
+    }
     this.totalPrice = this.items.reduce((total, item) => total + (item.quantity * item.priceAtAddTime), 0)
     this.totalItems = this.items.reduce((total, item) => total + item.quantity, 0)
     next()
 })
 
-
+export { GUEST_CART_TTL_DAYS }
 export const Cart = mongoose.model('Cart', cartSchema)
\ No newline at end of file
@@ -1,7 +1,16 @@
-
 import mongoose, {Schema} from "mongoose";
 
 
+const ancestorSchema = new Schema({
+    _id: {
+        type: Schema.Types.ObjectId,
+        ref: "Category",
+        required: true
+    },
+    name: String,
+    slug: String
+}, { _id: false });
+
 const categorySchema =  new Schema({
 
     name: {
@@ -21,8 +30,99 @@ const categorySchema =  new Schema({
         default: "",
         trim: true
     },
+    parent: {
+        type: Schema.Types.ObjectId,
+        ref: "Category",
+        default: null,
+        index: true
+    },
+    // Materialized path from the root down to the direct parent
+    ancestors: {
+        type: [ancestorSchema],
+        default: []
+    },
+    // GST rate in percent; when not set the nearest ancestor's rate applies
+    taxRate: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null
+    },
 }, {
     timestamps: true
 })
 
-export const Category = mongoose.model("Category", categorySchema);
\ No newline at end of file
+categorySchema.index({ "ancestors._id": 1 });
+
+categorySchema.virtual("depth").get(function () {
+    return this.ancestors.length;
+});
+
+// Rebuild the ancestor path whenever the parent changes
+categorySchema.pre("save", async function (next) {
+    if (!this.isNew && !this.isModified("parent")) return next();
+
+    if (!this.parent) {
+        this.ancestors = [];
+        return next();
+    }
+
+    if (this.parent.equals(this._id)) {
+        return next(new Error("A category cannot be its own parent"));
+    }
+
+    const parent = await this.constructor.findById(this.parent).session(this.$session());
+    if (!parent) {
+        return next(new Error("Parent category not found"));
+    }
+    if (parent.ancestors.some(ancestor => ancestor._id.equals(this._id))) {
+        return next(new Error("A category cannot be moved under one of its own subcategories"));
+    }
+
+    this.ancestors = [
+        ...parent.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+        { _id: parent._id, name: parent.name, slug: parent.slug }
+    ];
+    next();
+});
+
+// Refresh the stored paths of every descendant after a category moved or was renamed
+categorySchema.statics.refreshDescendantPaths = async function (category, { session = null } = {}) {
+    const children = await this.find({ parent: category._id }).session(session);
+    const prefix = [
+        ...category.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+        { _id: category._id, name: category.name, slug: category.slug }
+    ];
+
+    for (const child of children) {
+        child.ancestors = prefix;
+        await child.save({ session });
+        await this.refreshDescendantPaths(child, { session });
+    }
+};
+
+// IDs of a category and all categories below it
+categorySchema.statics.getSubtreeIds = async function (categoryIds) {
+    const ids = [].concat(categoryIds);
+    return this.find({
+        $or: [{ _id: { $in: ids } }, { "ancestors._id": { $in: ids } }]
+    }).distinct("_id");
+};
+
+// Effective tax rate for each category id, inherited from the nearest ancestor that sets one (0 if none do)
+categorySchema.statics.getTaxRates = async function (categoryIds) {
+    const categories = await this.find({ _id: { $in: [].concat(categoryIds) } }).select("taxRate ancestors").lean();
+    const ancestorIds = categories.flatMap(category => category.ancestors.map(ancestor => ancestor._id));
+    const ancestors = await this.find({ _id: { $in: ancestorIds } }).select("taxRate").lean();
+    const ownRates = new Map([...categories, ...ancestors].map(category => [category._id.toString(), category.taxRate]));
+
+    return new Map(categories.map(category => {
+        const path = [category._id, ...category.ancestors.map(ancestor => ancestor._id).reverse()];
+        const rate = path.map(id => ownRates.get(id.toString())).find(value => value != null);
+        return [category._id.toString(), rate ?? 0];
+    }));
+};
+
+categorySchema.set("toJSON", { virtuals: true });
+
+export const Category = mongoose.model("Category", categorySchema);
@@ -0,0 +1,151 @@
+import mongoose from 'mongoose'
+
+const COUPON_TYPES = {
+    PERCENTAGE: 'percentage',
+    FLAT: 'flat'
+}
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true,
+        trim: true,
+        match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code may only contain letters, numbers, dashes and underscores']
+    },
+    description: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: 300
+    },
+    type: {
+        type: String,
+        enum: Object.values(COUPON_TYPES),
+        required: true
+    },
+    value: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Upper bound for percentage coupons; null means uncapped
+    maxDiscount: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    minCartValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Total redemptions across all users; null means unlimited
+    usageLimit: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    startsAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Empty scopes mean the coupon applies to the whole cart
+    applicableCategories: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category'
+    }],
+    applicableProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+})
+
+couponSchema.pre('validate', function(next) {
+    if (this.type === COUPON_TYPES.PERCENTAGE && this.value > 100) {
+        this.invalidate('value', 'Percentage coupons cannot exceed 100')
+    }
+    if (this.expiresAt && this.startsAt && this.expiresAt <= this.startsAt) {
+        this.invalidate('expiresAt', 'Expiry must be after the start date')
+    }
+    next()
+})
+
+couponSchema.virtual('isScoped').get(function() {
+    return this.applicableCategories.length > 0 || this.applicableProducts.length > 0
+})
+
+// Method to check whether a line item falls inside the coupon scope
+// categoryIds can widen the categories, e.g. to include their subcategories
+couponSchema.methods.appliesTo = function(item, categoryIds = this.applicableCategories) {
+    if (!this.isScoped) return true
+    const productId = item.product?.toString()
+    const categoryId = item.category?.toString()
+    return this.applicableProducts.some(id => id.toString() === productId) ||
+        categoryIds.some(id => id.toString() === categoryId)
+}
+
+// Method returning why the coupon cannot be used right now, or null when it can
+couponSchema.methods.getIneligibilityReason = function({ subtotal, userRedemptions = 0, now = new Date() }) {
+    if (!this.isActive) return 'This coupon is no longer active'
+    if (this.startsAt && now < this.startsAt) return 'This coupon is not valid yet'
+    if (this.expiresAt && now > this.expiresAt) return 'This coupon has expired'
+    if (this.usageLimit != null && this.usedCount >= this.usageLimit) return 'This coupon has reached its usage limit'
+    if (userRedemptions >= this.perUserLimit) return 'You have already used this coupon'
+    if (subtotal < this.minCartValue) return `Add items worth ₹${(this.minCartValue - subtotal).toFixed(2)} more to use this coupon`
+    return null
+}
+
+// Method computing the discount for priced line items ({ product, category, totalPrice })
+couponSchema.methods.calculateDiscount = function(items, categoryIds = this.applicableCategories) {
+    const eligibleSubtotal = items
+        .filter(item => this.appliesTo(item, categoryIds))
+        .reduce((sum, item) => sum + item.totalPrice, 0)
+
+    let discount = this.type === COUPON_TYPES.PERCENTAGE
+        ? (eligibleSubtotal * this.value) / 100
+        : this.value
+
+    if (this.type === COUPON_TYPES.PERCENTAGE && this.maxDiscount != null) {
+        discount = Math.min(discount, this.maxDiscount)
+    }
+
+    return {
+        eligibleSubtotal: Math.round(eligibleSubtotal * 100) / 100,
+        discount: Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100
+    }
+}
+
+couponSchema.statics.findByCode = function(code) {
+    return this.findOne({ code: String(code || '').trim().toUpperCase() })
+}
+
+couponSchema.set('toJSON', { virtuals: true })
+
+export { COUPON_TYPES }
+export const Coupon = mongoose.model('Coupon', couponSchema)
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose'
+
+const MOVEMENT_REASONS = {
+    SALE: 'sale',
+    CANCEL: 'cancel',
+    RETURN: 'return',
+    MANUAL_ADJUSTMENT: 'manual_adjustment',
+    IMPORT: 'import'
+}
+
+const inventoryMovementSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Signed change in units: negative for stock leaving, positive for stock coming back
+    delta: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: function(value) {
+                return Number.isInteger(value) && value !== 0
+            },
+            message: 'Delta must be a non-zero whole number'
+        }
+    },
+    stockAfter: {
+        type: Number,
+        min: 0
+    },
+    reason: {
+        type: String,
+        enum: Object.values(MOVEMENT_REASONS),
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        default: null
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    note: {
+        type: String,
+        maxlength: 200,
+        trim: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 })
+inventoryMovementSchema.index({ product: 1, variant: 1, createdAt: -1 })
+inventoryMovementSchema.index({ order: 1 })
+
+// Movements are an append-only ledger, so writes go through insertMany only
+inventoryMovementSchema.statics.record = function(entries, options = {}) {
+    const list = (Array.isArray(entries) ? entries : [entries]).filter(entry => entry.delta !== 0)
+    if (list.length === 0) return Promise.resolve([])
+    return this.insertMany(list, options)
+}
+
+export { MOVEMENT_REASONS }
+export const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema)
@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+// Failed login counter for one key: "account:<email or username>" or "ip:<address>".
+// Entries disappear once a key has had no failures for a while.
+const loginThrottleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    lastFailureAt: {
+        type: Date
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
@@ -1,21 +1,75 @@
 import mongoose from 'mongoose'
+import { TAX_TYPES } from '../utils/tax.js'
+import { lineItemKey } from '../utils/pricing.js'
 
 // RECOMMENDED: Enums defined outside (constants)
 const PAYMENT_METHODS = ['COD', 'CARD', 'UPI', 'WALLET']
 const PAYMENT_STATUS = ['pending', 'paid', 'failed', 'refunded']
 const ORDER_STATUS = ['processing', 'confirmed', 'shipped', 'out_for_delivery', 'delivered', 'cancelled', 'returned']
 
+// Allowed next statuses for each order status; terminal statuses map to an empty list
+const ORDER_STATUS_TRANSITIONS = {
+    processing: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled'],
+    shipped: ['out_for_delivery', 'delivered', 'returned'],
+    out_for_delivery: ['delivered', 'returned'],
+    delivered: ['returned'],
+    cancelled: [],
+    returned: []
+}
+
+const statusHistorySchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ORDER_STATUS,
+        required: true
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        maxlength: 200,
+        trim: true
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false })
+
 const orderItemSchema = new mongoose.Schema({
     product: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product',
         required: true
     },
+    // Variant snapshot, so the line still reads correctly if the variant changes later
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    variantSku: {
+        type: String,
+        default: null
+    },
+    variantOptions: {
+        type: Map,
+        of: String,
+        default: undefined
+    },
     quantity: {
         type: Number,
         required: true,
         min: 1
     },
+    // Units of this line already put back into stock (by a refund, cancellation or return)
+    restockedQuantity: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     unitPrice: {
         type: Number,
         required: true,
@@ -25,7 +79,27 @@ const orderItemSchema = new mongoose.Schema({
         type: Number,
         required: true,
         min: 0
-    }
+    },
+    // Tax breakdown; totalPrice is before discount, lineTotal = taxableValue + taxAmount is what the line costs
+    taxRate: { type: Number, min: 0 },
+    discount: { type: Number, min: 0 },
+    taxableValue: { type: Number, min: 0 },
+    cgst: { type: Number, min: 0 },
+    sgst: { type: Number, min: 0 },
+    igst: { type: Number, min: 0 },
+    taxAmount: { type: Number, min: 0 },
+    lineTotal: { type: Number, min: 0 }
+}, { _id: false })
+
+// Address snapshot; copied onto the order so later address book edits don't rewrite history
+const orderAddressSchema = new mongoose.Schema({
+    fullName: { type: String, required: true, trim: true },
+    phone: { type: String, required: true, trim: true },
+    street: { type: String, required: true, trim: true },
+    city: { type: String, required: true, trim: true },
+    state: { type: String, required: true, trim: true },
+    postalCode: { type: String, required: true, trim: true },
+    country: { type: String, default: 'India', trim: true }
 }, { _id: false })
 
 const orderSchema = new mongoose.Schema({
@@ -49,13 +123,19 @@ const orderSchema = new mongoose.Schema({
         }
     },
     shippingAddress: {
-        fullName: { type: String, required: true, trim: true },
-        phone: { type: String, required: true, trim: true },
-        street: { type: String, required: true, trim: true },
-        city: { type: String, required: true, trim: true },
-        state: { type: String, required: true, trim: true },
-        postalCode: { type: String, required: true, trim: true },
-        country: { type: String, default: 'India', trim: true }
+        type: orderAddressSchema,
+        required: true
+    },
+    // Only stored when billing differs from shipping
+    billingAddress: {
+        type: orderAddressSchema,
+        default: undefined
+    },
+    // Address book entry the shipping address was copied from, if any
+    addressId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Address',
+        default: null
     },
     paymentMethod: {
         type: String,
@@ -72,10 +152,21 @@ const orderSchema = new mongoose.Schema({
         enum: ORDER_STATUS,
         default: 'processing'
     },
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: []
+    },
     paymentDetails: {
+        // The latest intent; intentIds keeps every intent created for the order so a late success on an older one still matches
+        intentId: String,
+        intentIds: {
+            type: [String],
+            default: undefined
+        },
         transactionId: String,
         paymentGateway: String,
-        paidAt: Date
+        paidAt: Date,
+        failureReason: String
     },
     trackingNumber: {
         type: String,
@@ -92,6 +183,11 @@ const orderSchema = new mongoose.Schema({
         type: String,
         maxlength: 200
     },
+    subtotal: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     totalAmount: {
         type: Number,
         required: true,
@@ -102,11 +198,54 @@ const orderSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        default: null
+    },
+    couponCode: {
+        type: String,
+        default: null
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     shippingFee: {
         type: Number,
         default: 0,
         min: 0
     },
+    taxAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    taxBreakdown: {
+        cgst: { type: Number, default: 0, min: 0 },
+        sgst: { type: Number, default: 0, min: 0 },
+        igst: { type: Number, default: 0, min: 0 }
+    },
+    taxType: {
+        type: String,
+        enum: [...Object.values(TAX_TYPES), null],
+        default: null
+    },
+    // Whether unitPrice already contained the tax when the order was placed
+    pricesIncludeTax: {
+        type: Boolean,
+        default: true
+    },
+    sellerState: {
+        type: String,
+        default: null
+    },
+    // Shipping zone the fee was calculated for
+    shippingZone: {
+        type: String,
+        default: null
+    },
     isDelivered: {
         type: Boolean,
         default: false
@@ -118,6 +257,17 @@ const orderSchema = new mongoose.Schema({
     timestamps: true
 })
 
+// New orders must add up: the line totals (after discount, with tax) plus shipping make the total
+orderSchema.pre('validate', function(next) {
+    if (!this.isNew || this.items.some(item => item.lineTotal == null)) return next()
+
+    const linesTotal = this.items.reduce((sum, item) => sum + item.lineTotal, 0)
+    if (Math.abs(linesTotal + this.shippingFee - this.totalAmount) > 0.01) {
+        this.invalidate('totalAmount', `Order total ${this.totalAmount} does not match its lines and shipping (${linesTotal + this.shippingFee})`)
+    }
+    next()
+})
+
 // Generate unique order number
 orderSchema.pre('save', async function(next) {
     if (this.isNew && !this.orderNumber) {
@@ -126,6 +276,10 @@ orderSchema.pre('save', async function(next) {
         this.orderNumber = `ORD${date}${random}`
     }
 
+    if (this.isNew && this.statusHistory.length === 0) {
+        this.statusHistory.push({ status: this.orderStatus, changedBy: this.user, note: 'Order placed' })
+    }
+
     if (this.isModified('orderStatus') && this.orderStatus === 'delivered') {
         this.isDelivered = true
         if (!this.deliveredAt) {
@@ -144,6 +298,9 @@ orderSchema.pre('save', async function(next) {
 
 orderSchema.index({ orderStatus: 1 })
 orderSchema.index({ paymentStatus: 1 })
+orderSchema.index({ 'paymentDetails.intentId': 1 }, { sparse: true })
+orderSchema.index({ 'paymentDetails.intentIds': 1 }, { sparse: true })
+orderSchema.index({ user: 1, coupon: 1 })
 orderSchema.index({ 'shippingAddress.postalCode': 1 })
 
 // Virtual for order age
@@ -156,6 +313,39 @@ orderSchema.methods.canBeCancelled = function() {
     return ['processing', 'confirmed'].includes(this.orderStatus)
 }
 
+// Method to check whether the state machine allows moving to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+    return (ORDER_STATUS_TRANSITIONS[this.orderStatus] || []).includes(status)
+}
+
+// Method to move the order to a new status and append it to the timeline
+// Callers are expected to check canTransitionTo first
+orderSchema.methods.transitionTo = function(status, { changedBy, note } = {}) {
+    if (!this.canTransitionTo(status)) {
+        throw new Error(`Cannot change order status from '${this.orderStatus}' to '${status}'`)
+    }
+    this.orderStatus = status
+    this.statusHistory.push({ status, changedBy, note, timestamp: new Date() })
+    return this
+}
+
+// Method to mark units as restocked, returning only the ones not restocked before
+// items defaults to every line; callers save the order and restock the returned items together
+orderSchema.methods.claimRestock = function(items = this.items) {
+    const claimed = []
+    for (const item of items) {
+        const line = this.items.find(orderItem => lineItemKey(orderItem) === lineItemKey(item))
+        if (!line) continue
+
+        const quantity = Math.min(item.quantity, line.quantity - (line.restockedQuantity || 0))
+        if (quantity <= 0) continue
+
+        line.restockedQuantity = (line.restockedQuantity || 0) + quantity
+        claimed.push({ product: line.product, variant: line.variant, quantity })
+    }
+    return claimed
+}
+
 // Export enums for use in other files
-export { PAYMENT_METHODS, PAYMENT_STATUS, ORDER_STATUS }
+export { PAYMENT_METHODS, PAYMENT_STATUS, ORDER_STATUS, ORDER_STATUS_TRANSITIONS }
 export const Order = mongoose.model('Order', orderSchema)
\ No newline at end of file
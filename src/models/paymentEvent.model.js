@@ -0,0 +1,41 @@
+import mongoose from 'mongoose'
+
+const PAYMENT_EVENT_RESULTS = ['applied', 'ignored']
+
+// One document per processed webhook event; the unique index makes redelivered events no-ops
+const paymentEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        required: true
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    result: {
+        type: String,
+        enum: PAYMENT_EVENT_RESULTS,
+        required: true
+    },
+    note: {
+        type: String,
+        maxlength: 200
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+})
+
+paymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true })
+paymentEventSchema.index({ order: 1, createdAt: -1 })
+
+export { PAYMENT_EVENT_RESULTS }
+export const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema)
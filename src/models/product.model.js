@@ -1,5 +1,6 @@
 import mongoose from "mongoose";
 import generateRandomSKU from "../utils/generateRandomSKU.js";
+import { buildSearchTokens } from "../utils/search.js";
 
 
 
@@ -11,6 +12,57 @@ const PRODUCT_STATUS = {
 };
 
 
+// One purchasable combination of option values, e.g. { size: "M", color: "Red" }
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    options: {
+        type: Map,
+        of: String,
+        required: true
+    },
+    // Falls back to the product sellingPrice when not set
+    sellingPrice: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    stock: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Falls back to the product lowStockThreshold when not set
+    lowStockThreshold: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    // Falls back to the product weight when not set
+    weight: {
+        type: Number,
+        min: 0,
+        default: null
+    },
+    image: {
+        type: String,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+});
+
+variantSchema.virtual("label").get(function () {
+    return [...this.options.values()].join(" / ");
+});
+variantSchema.set("toObject", { virtuals: true });
+variantSchema.set("toJSON", { virtuals: true });
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -46,6 +98,19 @@ const productSchema = new mongoose.Schema({
         default: 10,
         min: 0
     },
+    // Shipping weight of one unit in grams
+    weight: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // GST rate in percent overriding the category's rate; null uses the category rate
+    taxRate: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: null
+    },
     status: {
         type: String,
         enum: Object.values(PRODUCT_STATUS),
@@ -57,6 +122,17 @@ const productSchema = new mongoose.Schema({
         required: true,
         index: true,
     },
+    // Denormalized so the text index can weigh the category name
+    categoryName: {
+        type: String,
+        default: ""
+    },
+    // Lowercase words of name, category and SKUs, used for prefix autocomplete and typo correction
+    searchTokens: {
+        type: [String],
+        default: [],
+        select: false
+    },
     image: {
         type: String,
         default: null
@@ -80,6 +156,28 @@ const productSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Summary of approved reviews, maintained by the Review model
+    averageRating: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5
+    },
+    ratingCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Option axes derived from the variants, e.g. [{ name: "size", values: ["S", "M"] }]
+    options: [{
+        _id: false,
+        name: { type: String, required: true, trim: true },
+        values: [{ type: String, trim: true }]
+    }],
+    variants: {
+        type: [variantSchema],
+        default: []
+    },
 },
     {
         timestamps: true
@@ -105,7 +203,7 @@ productSchema.virtual("profitMargin").get(function () {
     return null;
 })
 productSchema.virtual("formattedPrice").get(function () {
-    return `₹${this.sellingPrice.toFixed(2)}`;
+    return this.sellingPrice != null ? `₹${this.sellingPrice.toFixed(2)}` : null;
 });
 productSchema.virtual("statusBadgeColor").get(function () {
     const map = {
@@ -120,8 +218,42 @@ productSchema.set("toObject", { virtuals: true });
 productSchema.set("toJSON", { virtuals: true });
 
 
+// Variants must all use the same option axes and each combination may appear only once
+productSchema.pre("validate", function (next) {
+    if (!this.variants.length) {
+        this.options = [];
+        return next();
+    }
+
+    const axes = [...this.variants[0].options.keys()].sort();
+    const seen = new Set();
+    const values = new Map(axes.map(axis => [axis, new Set()]));
+
+    for (const variant of this.variants) {
+        const keys = [...variant.options.keys()].sort();
+        if (keys.join("|") !== axes.join("|")) {
+            this.invalidate("variants", `Every variant must define the options: ${axes.join(", ")}`);
+            return next();
+        }
+        const combination = axes.map(axis => variant.options.get(axis)).join("|");
+        if (seen.has(combination)) {
+            this.invalidate("variants", `Duplicate variant: ${variant.label}`);
+            return next();
+        }
+        seen.add(combination);
+        axes.forEach(axis => values.get(axis).add(variant.options.get(axis)));
+    }
+
+    this.options = axes.map(axis => ({ name: axis, values: [...values.get(axis)] }));
+    next();
+});
+
 //pre-save hook
 productSchema.pre("save", function (next) {
+    // With variants the product stock is the sum of its variants
+    if (this.isModified("variants") && this.variants.length) {
+        this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+    }
     if(this.isModified("name")){
         this.slug = this.name.toLowerCase().replace(/ /g, "-");
     }
@@ -139,19 +271,39 @@ productSchema.pre("save", function (next) {
 })
 
 productSchema.pre("save", async function (next) {
-    if (this.sku) return next(); // Skip if already set manually
+    if (!this.sku) {
+        let newSKU;
+        let exists = true;
 
-    let newSKU;
-    let exists = true;
+        // Keep generating until we find a unique SKU
+        while (exists) {
+            newSKU = generateRandomSKU(); // e.g. PRD-12345
+            const found = await mongoose.models.Product.findOne({ sku: newSKU });
+            exists = !!found;
+        }
 
-    // Keep generating until we find a unique SKU
-    while (exists) {
-        newSKU = generateRandomSKU(); // e.g. PRD-12345
-        const found = await mongoose.models.Product.findOne({ sku: newSKU });
-        exists = !!found;
+        this.sku = newSKU.toUpperCase(); // Set the unique SKU
     }
 
-    this.sku = newSKU.toUpperCase(); // Set the unique SKU
+    // Variant SKUs default to the product SKU followed by the option values, e.g. ABC-1234-XYZ-M-RED
+    this.variants.forEach(variant => {
+        if (!variant.sku) {
+            const suffix = [...variant.options.values()].join("-").replace(/[^a-zA-Z0-9-]/g, "");
+            variant.sku = `${this.sku}-${suffix}`.toUpperCase();
+        }
+    });
+    next();
+});
+
+// Keep the denormalized search fields in step with name, category and SKUs
+productSchema.pre("save", async function (next) {
+    if (this.isNew || this.isModified("category")) {
+        const category = await mongoose.models.Category.findById(this.category).select("name");
+        this.categoryName = category?.name || "";
+    }
+    if (this.isNew || this.isModified("name") || this.isModified("sku") || this.isModified("categoryName") || this.isModified("variants")) {
+        this.searchTokens = buildSearchTokens(this.name, this.categoryName, this.sku, ...this.variants.map(variant => variant.sku));
+    }
     next();
 });
 
@@ -161,12 +313,11 @@ productSchema.methods.getFormattedPrice = function () {
 productSchema.methods.getFormattedPurchasePrice = function () {
     return `₹${this.purchasePrice.toFixed(2)}`;
 }
-productSchema.methods.getDiscountPrice = function (persent) {
-    if (this.sellingPrice) {
-        const discount = (this.sellingPrice * percent) / 100;
-        this.sellingPrice = Math.max(0, this.sellingPrice - discount);
-        return this.sellingPrice;
-    }
+// Price after a percentage discount; does not modify the stored sellingPrice
+productSchema.methods.getDiscountPrice = function (percent) {
+    if (this.sellingPrice == null) return null;
+    const discount = (this.sellingPrice * Math.min(Math.max(percent, 0), 100)) / 100;
+    return Math.round(Math.max(0, this.sellingPrice - discount) * 100) / 100;
 }
 productSchema.methods.removeDiscountPrice = function (){
     if(this.purchasePrice){
@@ -195,6 +346,11 @@ productSchema.methods.updateStock = function (quantity,op="set") {
     }
     return this.stock;
 }
+// Method to publish, unpublish or discontinue a product; publishing without stock marks it out of stock
+productSchema.methods.setStatus = function (status) {
+    this.status = status === PRODUCT_STATUS.ACTIVE && this.stock <= 0 ? PRODUCT_STATUS.OUT_OF_STOCK : status;
+    return this.status;
+}
 productSchema.methods.softDelete = function () {
     this.isDeleted = true;
     this.status = PRODUCT_STATUS.DISCONTINUED; // Set status to DRAFT on delete
@@ -206,6 +362,24 @@ productSchema.methods.restore = function () {
     return this.save();
 }
 
+// Method to resolve the purchasable unit for a cart or order line
+productSchema.methods.resolveVariant = function (variantId) {
+    if (!this.variants.length) return null;
+    return variantId ? this.variants.id(variantId) : null;
+}
+// Method returning the unit price for the product or one of its variants
+productSchema.methods.getUnitPrice = function (variant = null) {
+    return variant?.sellingPrice ?? this.sellingPrice;
+}
+// Method deciding whether the product (or one of its variants) can be sold; checkout and the cart share this rule
+productSchema.methods.isPurchasable = function (variant = null) {
+    return this.status === PRODUCT_STATUS.ACTIVE && this.getUnitPrice(variant) != null && (!variant || variant.isActive);
+}
+// Method returning the shipping weight in grams of one unit of the product or one of its variants
+productSchema.methods.getUnitWeight = function (variant = null) {
+    return variant?.weight ?? this.weight ?? 0;
+}
+
 productSchema.methods.getStatusBadgeColor = function () {
     const map = {
         ACTIVE: "green",
@@ -230,27 +404,120 @@ productSchema.statics.findBySlug = function (){
 productSchema.statics.findBySKU = function () {
     return this.findOne({sku:sku.toUpperCase(),isDeleted:false});
 }
-productSchema.statics.bulkUpdateStock = function (items){
-    const ops = items.map(item => ({
+// Decrement stock for every item; an item only matches while it still has enough units,
+// so callers must compare result.modifiedCount against items.length to detect an oversell.
+// Items with a variant decrement both the variant and the product total.
+productSchema.statics.bulkUpdateStock = function (items, options = {}){
+    const ops = items.map(item => (item.variant ? {
             updateOne:{
-                filter: {_id:item._id,isDeleted:false},
+                filter: {_id:item._id,isDeleted:false,variants:{$elemMatch:{_id:item.variant,stock:{$gte:item.quantity}}}},
+                update:{$inc:{stock:-item.quantity,"variants.$.stock":-item.quantity},$set:{"updatedAt":new Date()}}
+            }
+        } : {
+            updateOne:{
+                filter: {_id:item._id,isDeleted:false,stock:{$gte:item.quantity}},
                 update:{$inc:{stock:-item.quantity},$set:{"updatedAt":new Date()}}
             }
         }));
-    return this.bulkWrite(ops);
+    return this.bulkWrite(ops, options);
+}
+// bulkWrite bypasses the pre-save hook, so sync the status of products that ran out
+productSchema.statics.markSoldOut = function (ids, options = {}){
+    return this.updateMany(
+        { _id: { $in: ids }, stock: { $lte: 0 }, status: PRODUCT_STATUS.ACTIVE },
+        { $set: { status: PRODUCT_STATUS.OUT_OF_STOCK } },
+        options
+    );
 }
+// Recompute search fields for products changed outside of save(), e.g. findByIdAndUpdate or a category rename
+productSchema.statics.refreshSearchFields = async function (filter = {}, { session = null } = {}) {
+    const products = this.find(filter).select("name sku category variants.sku").populate("category", "name").session(session).cursor();
+    const ops = [];
+    let updated = 0;
+
+    for await (const product of products) {
+        const categoryName = product.category?.name || "";
+        ops.push({
+            updateOne: {
+                filter: { _id: product._id },
+                update: {
+                    $set: {
+                        categoryName,
+                        searchTokens: buildSearchTokens(product.name, categoryName, product.sku, ...product.variants.map(variant => variant.sku))
+                    }
+                }
+            }
+        });
+        if (ops.length === 500) {
+            updated += (await this.bulkWrite(ops.splice(0), { session })).modifiedCount;
+        }
+    }
+    if (ops.length) {
+        updated += (await this.bulkWrite(ops, { session })).modifiedCount;
+    }
+    return updated;
+}
+
 productSchema.statics.findActiveProducts = function (filters = {}) {
     return this.find({ ...filters, status: PRODUCT_STATUS.ACTIVE, isDeleted: false });
 };
 
+// Products without variants compare their own stock; products with variants are low
+// as soon as one active variant is at or below its (or the product's) threshold
 productSchema.statics.findLowStockProducts = function () {
     return this.find({
         isDeleted: false,
         status: PRODUCT_STATUS.ACTIVE,
-        $expr: { $lte: ["$stock", "$lowStockThreshold"] }
+        $expr: {
+            $cond: [
+                { $gt: [{ $size: { $ifNull: ["$variants", []] } }, 0] },
+                {
+                    $anyElementTrue: [{
+                        $map: {
+                            input: "$variants",
+                            as: "variant",
+                            in: {
+                                $and: [
+                                    "$$variant.isActive",
+                                    { $lte: ["$$variant.stock", { $ifNull: ["$$variant.lowStockThreshold", "$lowStockThreshold"] }] }
+                                ]
+                            }
+                        }
+                    }]
+                },
+                { $lte: ["$stock", "$lowStockThreshold"] }
+            ]
+        }
     });
 };
 
+// One row per low-stock variant, for restocking reports
+productSchema.statics.findLowStockVariants = function () {
+    return this.aggregate([
+        { $match: { isDeleted: false, status: PRODUCT_STATUS.ACTIVE, "variants.0": { $exists: true } } },
+        { $unwind: "$variants" },
+        { $match: { "variants.isActive": true } },
+        {
+            $match: {
+                $expr: { $lte: ["$variants.stock", { $ifNull: ["$variants.lowStockThreshold", "$lowStockThreshold"] }] }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                product: "$_id",
+                name: 1,
+                variant: "$variants._id",
+                sku: "$variants.sku",
+                options: "$variants.options",
+                stock: "$variants.stock",
+                lowStockThreshold: { $ifNull: ["$variants.lowStockThreshold", "$lowStockThreshold"] }
+            }
+        },
+        { $sort: { stock: 1 } }
+    ]);
+};
+
 productSchema.statics.findFeaturedProducts = function (limit = 10) {
     return this.find({
         isFeatured: true,
@@ -260,6 +527,13 @@ productSchema.statics.findFeaturedProducts = function (limit = 10) {
 };
 
 
+productSchema.index(
+    { name: "text", sku: "text", categoryName: "text", description: "text" },
+    { name: "product_text_search", weights: { name: 10, sku: 8, categoryName: 5, description: 2 } }
+);
+productSchema.index({ searchTokens: 1 });
+productSchema.index({ "variants.sku": 1 }, { unique: true, partialFilterExpression: { "variants.sku": { $type: "string" } } });
+
 productSchema.pre(/^find/, function (next) {
     if (!this.getQuery().isDeleted) {
         this.where({ isDeleted: { $ne: true } });
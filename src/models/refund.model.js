@@ -0,0 +1,111 @@
+import mongoose from 'mongoose'
+
+const REFUND_STATUS = {
+    REQUESTED: 'requested',
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+    REJECTED: 'rejected',
+    FAILED: 'failed'
+}
+
+// Refunds in these statuses no longer count against what is still refundable on the order
+const INACTIVE_REFUND_STATUS = [REFUND_STATUS.REJECTED, REFUND_STATUS.FAILED]
+
+const refundItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false })
+
+const refundSchema = new mongoose.Schema({
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    items: {
+        type: [refundItemSchema],
+        default: []
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    status: {
+        type: String,
+        enum: Object.values(REFUND_STATUS),
+        default: REFUND_STATUS.REQUESTED
+    },
+    restock: {
+        type: Boolean,
+        default: false
+    },
+    providerReference: {
+        type: String,
+        default: null
+    },
+    // Set as soon as the payout went through, so a refund stuck in processing can be finished without paying again
+    payoutAt: {
+        type: Date
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: {
+        type: Date
+    },
+    rejectionReason: {
+        type: String,
+        maxlength: 200
+    },
+    failureReason: {
+        type: String,
+        maxlength: 200
+    },
+    processedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+})
+
+refundSchema.index({ order: 1, status: 1 })
+refundSchema.index({ user: 1, createdAt: -1 })
+refundSchema.index({ status: 1, createdAt: -1 })
+
+export { REFUND_STATUS, INACTIVE_REFUND_STATUS }
+export const Refund = mongoose.model('Refund', refundSchema)
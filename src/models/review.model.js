@@ -0,0 +1,102 @@
+import mongoose from 'mongoose'
+import { Product } from './product.model.js'
+
+const REVIEW_STATUS = {
+    APPROVED: 'approved',
+    PENDING: 'pending',
+    HIDDEN: 'hidden'
+}
+
+const reviewSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number between 1 and 5'
+        }
+    },
+    title: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: 120
+    },
+    body: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: 2000
+    },
+    // Set when the author has a delivered order containing the product
+    verifiedPurchase: {
+        type: Boolean,
+        default: false
+    },
+    // Hidden and pending reviews are kept for the author and admins but left out of listings and ratings.
+    // New reviews are published straight away; an edit to a published review waits for an admin
+    status: {
+        type: String,
+        enum: Object.values(REVIEW_STATUS),
+        default: REVIEW_STATUS.APPROVED
+    },
+    moderatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    moderatedAt: {
+        type: Date
+    },
+    moderationNote: {
+        type: String,
+        maxlength: 200
+    },
+    helpfulVoters: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+        default: [],
+        select: false
+    },
+    helpfulCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+})
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true })
+reviewSchema.index({ product: 1, status: 1, helpfulCount: -1 })
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 })
+reviewSchema.index({ status: 1, createdAt: -1 })
+
+// Recompute the denormalized rating summary on the product from its approved reviews
+reviewSchema.statics.refreshProductRating = async function (productId) {
+    const [summary] = await this.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: REVIEW_STATUS.APPROVED } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ])
+
+    const rating = {
+        averageRating: summary ? Math.round(summary.average * 10) / 10 : 0,
+        ratingCount: summary?.count || 0
+    }
+    await Product.updateOne({ _id: productId }, { $set: rating })
+    return rating
+}
+
+export { REVIEW_STATUS }
+export const Review = mongoose.model('Review', reviewSchema)
@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+// Access tokens revoked before their natural expiry, by jti. An entry is only needed
+// until the token would have expired anyway, so MongoDB drops it at expiresAt.
+const revokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    reason: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RevokedToken = mongoose.model("RevokedToken", revokedTokenSchema);
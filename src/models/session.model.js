@@ -0,0 +1,126 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { tokenBlacklist } from "../utils/token.js";
+
+/**
+ * A session is one refresh token family: it starts at login and every refresh rotates its token.
+ * Only the hash of the current token is kept. Presenting any other validly signed token for the
+ * session means an old token was replayed, so the whole family is revoked.
+ */
+
+const SESSION_REVOKE_REASONS = {
+    LOGOUT: "logout",
+    USER_REVOKED: "user_revoked",
+    TOKEN_REUSE: "token_reuse",
+    PASSWORD_RESET: "password_reset",
+    PASSWORD_CHANGE: "password_change",
+    FORCED_LOGOUT: "forced_logout"
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Short human-readable label for the sessions list, e.g. "Chrome on Android"
+const describeDevice = (userAgent = "") => {
+    const browser = [["Edg", "Edge"], ["OPR", "Opera"], ["Chrome", "Chrome"], ["Firefox", "Firefox"], ["Safari", "Safari"]]
+        .find(([marker]) => userAgent.includes(marker))?.[1];
+    const os = [["Android", "Android"], ["iPhone", "iOS"], ["iPad", "iPadOS"], ["Windows", "Windows"], ["Mac OS", "macOS"], ["Linux", "Linux"]]
+        .find(([marker]) => userAgent.includes(marker))?.[1];
+
+    if (!browser && !os) return "Unknown device";
+    return [browser || "Browser", os].filter(Boolean).join(" on ");
+};
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    device: {
+        type: String,
+        default: "Unknown device"
+    },
+    userAgent: {
+        type: String,
+        maxlength: 500
+    },
+    ip: {
+        type: String
+    },
+    // The access token most recently issued for the session, revoked together with it
+    accessTokenJti: {
+        type: String,
+        select: false
+    },
+    accessTokenExpiresAt: {
+        type: Date,
+        select: false
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Follows the refresh token expiry; MongoDB removes the session after that
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        enum: Object.values(SESSION_REVOKE_REASONS)
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.pre("validate", function (next) {
+    if (this.isModified("userAgent")) {
+        this.userAgent = this.userAgent?.slice(0, 500);
+        this.device = describeDevice(this.userAgent);
+    }
+    next();
+});
+
+sessionSchema.statics.hashToken = hashToken;
+
+sessionSchema.statics.findActiveForUser = function (userId) {
+    return this.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+};
+
+// Revoke matching sessions and the access tokens they issued, which stop working on the next request
+sessionSchema.statics.revoke = async function (filter, reason) {
+    const sessions = await this.find({ ...filter, revokedAt: null }).select("user accessTokenJti accessTokenExpiresAt");
+    if (!sessions.length) return { modifiedCount: 0 };
+
+    const result = await this.updateMany(
+        { _id: { $in: sessions.map(session => session._id) }, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    await tokenBlacklist.add(sessions.map(session => ({
+        jti: session.accessTokenJti,
+        user: session.user,
+        reason,
+        expiresAt: session.accessTokenExpiresAt
+    })));
+
+    return result;
+};
+
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+export { SESSION_REVOKE_REASONS };
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+
+// Runtime settings that admins can change without a deploy, one document per key
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+settingSchema.statics.getValue = async function (key, defaultValue = null) {
+    const setting = await this.findOne({ key }).lean();
+    return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+    return this.findOneAndUpdate(
+        { key },
+        { $set: { value, updatedBy } },
+        { upsert: true, new: true }
+    );
+};
+
+export const Setting = mongoose.model("Setting", settingSchema);
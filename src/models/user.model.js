@@ -1,12 +1,14 @@
 import mongoose,{Schema} from "mongoose";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
 
 
-
-
-
-
+const USER_ROLES = {
+    CUSTOMER: "customer",
+    STAFF: "staff",
+    ADMIN: "admin"
+};
 
 
 const UserSchema = new Schema(
@@ -32,9 +34,47 @@ const UserSchema = new Schema(
             required: true,
             trim: true
         },
-        refreshToken: {
+        role: {
             type: String,
-            select: false
+            enum: Object.values(USER_ROLES),
+            default: USER_ROLES.CUSTOMER,
+            index: true
+        },
+        emailVerified: {
+            type: Boolean,
+            default: false
+        },
+        emailVerifiedAt: {
+            type: Date
+        },
+        // TOTP two-factor authentication; secrets are encrypted and backup codes hashed
+        twoFactor: {
+            enabled: {
+                type: Boolean,
+                default: false
+            },
+            enabledAt: {
+                type: Date
+            },
+            secret: {
+                type: String,
+                select: false
+            },
+            // Set by enrollment, becomes the secret once a code from it is confirmed
+            pendingSecret: {
+                type: String,
+                select: false
+            },
+            backupCodes: {
+                type: [String],
+                default: undefined,
+                select: false
+            },
+            // Last accepted time step, so a code cannot be replayed within its window
+            lastUsedStep: {
+                type: Number,
+                select: false
+            }
         },
     },
 
@@ -44,7 +84,6 @@ const UserSchema = new Schema(
             transform: function (doc, ret) {
                 // Remove sensitive fields from the response
                 delete ret.password;
-                delete ret.refreshToken;
                 return ret;
             }
         },
@@ -69,12 +108,16 @@ UserSchema.methods.isPasswordCorrect = async function(password){
 }
 
 
-UserSchema.methods.generateAccessToken = function(){
+// sid ties the token to the login session it was issued for; jti lets it be revoked on its own
+UserSchema.methods.generateAccessToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
             email: this.email,
-            username: this.username
+            username: this.username,
+            role: this.role,
+            sid: sessionId,
+            jti: crypto.randomUUID()
         },
         process.env.ACCESS_TOKEN_SECRET,
         {
@@ -82,11 +125,13 @@ UserSchema.methods.generateAccessToken = function(){
         }
     )
 }
-UserSchema.methods.generateRefreshToken = function(){
+// jti makes every rotated token unique, even when two are issued in the same second
+UserSchema.methods.generateRefreshToken = function(sessionId){
     return jwt.sign(
         {
             _id: this._id,
-
+            sid: sessionId,
+            jti: crypto.randomUUID()
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -95,17 +140,8 @@ UserSchema.methods.generateRefreshToken = function(){
     )
 }
 
-UserSchema.statics.findByRefreshToken = async function (token) {
-    const user = await this.findOne({ refreshToken: token }).select("+refreshToken");
-    if (!user) {
-        throw new Error("Invalid refresh token");
-    }
-    return user;
-}
-
-UserSchema.methods.clearRefreshToken = async function () {
-    this.refreshToken = null;
-    await this.save(); // 🔁 Save the cleared token in DB
+UserSchema.methods.hasRole = function (...roles) {
+    return roles.includes(this.role);
 }
 
 UserSchema.statics.findByCredentials = async function (email, password) {
@@ -124,5 +160,5 @@ UserSchema.statics.findByCredentials = async function (email, password) {
 
 
 const User = mongoose.model("User", UserSchema);
-export { User};
+export { User, USER_ROLES };
 
@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const TOKEN_PURPOSES = {
+    EMAIL_VERIFICATION: "email_verification",
+    PASSWORD_RESET: "password_reset"
+};
+
+// Only the SHA-256 of a token is stored; the raw value exists only in the email sent to the user
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const userTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: Object.values(TOKEN_PURPOSES),
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Create a token for a user and purpose, invalidating any earlier unused ones.
+ * Returns the raw token, which is never stored.
+ */
+userTokenSchema.statics.issue = async function (userId, purpose, ttlMs) {
+    const token = crypto.randomBytes(32).toString("base64url");
+
+    await this.deleteMany({ user: userId, purpose, usedAt: null });
+    await this.create({
+        user: userId,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return token;
+};
+
+/**
+ * Atomically mark a valid token as used; returns null when it is unknown, expired or already used
+ */
+userTokenSchema.statics.consume = function (token, purpose) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+};
+
+export { TOKEN_PURPOSES };
+export const UserToken = mongoose.model("UserToken", userTokenSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose'
+
+const wishlistItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    // Unit price when the item was saved, used to flag price drops
+    priceWhenSaved: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false })
+
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    items: [wishlistItemSchema]
+}, {
+    timestamps: true
+})
+
+export const Wishlist = mongoose.model('Wishlist', wishlistSchema)
@@ -0,0 +1,48 @@
+import { createConsoleTransport, createFileTransport } from "./transports.js";
+
+/**
+ * Notifier registry
+ * NOTIFY_TRANSPORT picks the transport (console by default); callers only ever use notify()
+ * Production has no default: the console transport would log links carrying live tokens
+ */
+const transportFactories = {
+    console: createConsoleTransport,
+    file: createFileTransport
+};
+
+const instances = new Map();
+
+const resolveTransportName = (name) => {
+    if (name) {
+        return name;
+    }
+    if (process.env.NODE_ENV === "production") {
+        throw new Error("NOTIFY_TRANSPORT must be set in production");
+    }
+    return "console";
+};
+
+export const getTransport = (configured = process.env.NOTIFY_TRANSPORT) => {
+    const name = resolveTransportName(configured);
+    const factory = transportFactories[name];
+    if (!factory) {
+        throw new Error(`Unknown notification transport '${name}'`);
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, factory());
+    }
+    return instances.get(name);
+};
+
+/**
+ * Send a message through the configured transport
+ */
+export const notify = async ({ to, subject, text, type, data = {} }) => {
+    if (!to) {
+        throw new Error("Notification recipient is required");
+    }
+    const transport = getTransport();
+    const result = await transport.send({ to, subject, text, type, data });
+    return { transport: transport.name, ...result };
+};
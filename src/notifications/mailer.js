@@ -0,0 +1,39 @@
+import { getTransport } from "./index.js";
+
+/**
+ * Transactional email
+ * MAIL_TRANSPORT picks the transport (falls back to NOTIFY_TRANSPORT); links point at CLIENT_URL
+ */
+
+const getClientUrl = () => (process.env.CLIENT_URL || "http://localhost:5173").replace(/\/$/, "");
+
+export const sendMail = async ({ to, subject, text, type = "email", data = {} }) => {
+    if (!to) {
+        throw new Error("Email recipient is required");
+    }
+    const transport = getTransport(process.env.MAIL_TRANSPORT || process.env.NOTIFY_TRANSPORT);
+    return transport.send({ to, subject, text, type, data });
+};
+
+export const sendVerificationEmail = (user, token, expiresInHours) => {
+    const link = `${getClientUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+    return sendMail({
+        to: user.email,
+        type: "email_verification",
+        subject: "Verify your email address",
+        text: `Hi ${user.fullName}, confirm your email address by opening ${link}. The link expires in ${expiresInHours} hours.`,
+        data: { link }
+    });
+};
+
+export const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+    const link = `${getClientUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+    return sendMail({
+        to: user.email,
+        type: "password_reset",
+        subject: "Reset your password",
+        text: `Hi ${user.fullName}, reset your password by opening ${link}. The link expires in ${expiresInMinutes} minutes. ` +
+            "If you did not ask for this, you can ignore this email.",
+        data: { link }
+    });
+};
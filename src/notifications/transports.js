@@ -0,0 +1,26 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Local delivery transports
+ * A transport is a plain object with a name and send(message) where message is
+ * { to, subject, text, type, data }. Real providers (SMTP, SMS, push) plug in next to these.
+ */
+
+export const createConsoleTransport = () => ({
+    name: "console",
+    async send(message) {
+        console.log(`📨 [${message.type || "notification"}] to ${message.to}: ${message.subject}\n${message.text}`);
+        return { delivered: true };
+    }
+});
+
+// Appends one JSON line per message, handy for inspecting what would have been sent
+export const createFileTransport = ({ filePath = process.env.NOTIFY_FILE_PATH || "./logs/notifications.log" } = {}) => ({
+    name: "file",
+    async send(message) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.appendFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }) + "\n");
+        return { delivered: true };
+    }
+});
@@ -0,0 +1,5 @@
+// Normalised event types every provider maps its webhook payloads onto
+export const PAYMENT_EVENT_TYPES = {
+    SUCCEEDED: "payment.succeeded",
+    FAILED: "payment.failed"
+};
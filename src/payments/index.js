@@ -0,0 +1,91 @@
+import { ApiError } from "../utils/ApiError.js";
+import { createMockProvider } from "./mock.provider.js";
+
+export { PAYMENT_EVENT_TYPES } from "./events.js";
+
+/**
+ * Payment provider registry
+ * A provider is a plain object with: name, supportedMethods, createPaymentIntent(),
+ * createRefund(), constructEvent(rawBody, headers). Add real gateways here next to the mock one.
+ */
+const providerFactories = {
+    mock: createMockProvider
+};
+
+const instances = new Map();
+
+export const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || "INR";
+
+// The mock provider (and its simulate endpoint) is opt-in: MOCK_PAYMENTS_ENABLED=true, never in production
+export const isMockPaymentsEnabled = () =>
+    process.env.MOCK_PAYMENTS_ENABLED === "true" && process.env.NODE_ENV !== "production";
+
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+    if (!name) {
+        throw new ApiError(500, "No payment provider configured; set PAYMENT_PROVIDER");
+    }
+    const factory = providerFactories[name];
+    if (!factory) {
+        throw new ApiError(404, `Unknown payment provider '${name}'`);
+    }
+    if (name === "mock" && !isMockPaymentsEnabled()) {
+        throw new ApiError(404, "The mock payment provider is not enabled");
+    }
+
+    if (!instances.has(name)) {
+        instances.set(name, factory());
+    }
+    return instances.get(name);
+};
+
+// Cash on delivery never goes through a gateway
+export const requiresOnlinePayment = (method) => method !== "COD";
+
+/**
+ * Create a payment intent for an order and remember it on the order
+ */
+export const initiatePayment = async (order) => {
+    const provider = getPaymentProvider();
+
+    if (!provider.supportedMethods.includes(order.paymentMethod)) {
+        throw new ApiError(400, `Payment method ${order.paymentMethod} is not supported by ${provider.name}`);
+    }
+
+    const intent = await provider.createPaymentIntent({
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        amount: order.totalAmount,
+        currency: PAYMENT_CURRENCY,
+        method: order.paymentMethod
+    });
+
+    // Earlier intents may still be settled by the customer, so they stay matchable
+    const intentIds = new Set(order.paymentDetails.intentIds || []);
+    if (order.paymentDetails.intentId) {
+        intentIds.add(order.paymentDetails.intentId);
+    }
+    intentIds.add(intent.intentId);
+
+    order.paymentDetails.intentId = intent.intentId;
+    order.paymentDetails.intentIds = [...intentIds];
+    order.paymentDetails.paymentGateway = provider.name;
+    await order.save();
+
+    return intent;
+};
+
+/**
+ * Send money back through the gateway that took the payment
+ * Orders paid outside a gateway (e.g. cash on delivery) are refunded manually.
+ * idempotencyKey lets a retried payout be recognised by the gateway instead of paid twice
+ */
+export const refundPayment = async (order, amount, { idempotencyKey } = {}) => {
+    const { paymentGateway, intentId, transactionId } = order.paymentDetails || {};
+
+    if (!paymentGateway || !intentId) {
+        return { refundId: null, status: "manual" };
+    }
+
+    const provider = getPaymentProvider(paymentGateway);
+    return provider.createRefund({ intentId, transactionId, amount, currency: PAYMENT_CURRENCY, idempotencyKey });
+};
@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import { ApiError } from "../utils/ApiError.js";
+import { computeSignature, verifySignature } from "./signature.js";
+import { PAYMENT_EVENT_TYPES } from "./events.js";
+
+const SIGNATURE_HEADER = "x-mock-signature";
+const TIMESTAMP_HEADER = "x-mock-timestamp";
+
+/**
+ * Local payment provider that never talks to a real gateway
+ * Intents are just identifiers; outcomes are produced with buildWebhook and fed
+ * back through the regular signed webhook endpoint
+ */
+export const createMockProvider = ({
+    webhookSecret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET
+} = {}) => {
+    // A guessable default secret would let anyone forge "payment succeeded" webhooks
+    if (!webhookSecret) {
+        throw new ApiError(500, "MOCK_PAYMENT_WEBHOOK_SECRET must be set to use the mock payment provider");
+    }
+
+    return {
+        name: "mock",
+        supportedMethods: ["CARD", "UPI", "WALLET"],
+
+        createPaymentIntent: async ({ orderId, amount, currency, method }) => {
+            const intentId = `mock_pi_${crypto.randomBytes(12).toString("hex")}`;
+            return {
+                intentId,
+                clientSecret: `${intentId}_secret_${crypto.randomBytes(8).toString("hex")}`,
+                status: "requires_payment",
+                amount,
+                currency,
+                method,
+                metadata: { orderId: orderId.toString() }
+            };
+        },
+
+        // Mock refunds settle immediately
+        createRefund: async ({ intentId, amount, currency }) => ({
+            refundId: `mock_re_${crypto.randomBytes(12).toString("hex")}`,
+            intentId,
+            amount,
+            currency,
+            status: "succeeded"
+        }),
+
+        // Verify the signature and translate the raw payload into a normalised payment event
+        constructEvent: (rawBody, headers) => {
+            const payload = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : rawBody;
+            const isValid = verifySignature({
+                secret: webhookSecret,
+                payload,
+                signature: headers[SIGNATURE_HEADER],
+                timestamp: headers[TIMESTAMP_HEADER]
+            });
+
+            if (!isValid) {
+                throw new ApiError(400, "Invalid webhook signature");
+            }
+
+            const body = JSON.parse(payload);
+            return {
+                id: body.id,
+                type: body.type,
+                intentId: body.data?.intentId,
+                transactionId: body.data?.transactionId,
+                amount: body.data?.amount,
+                failureReason: body.data?.failureReason,
+                occurredAt: new Date(body.created * 1000)
+            };
+        },
+
+        // Produce a signed webhook request the way the gateway would send it
+        buildWebhook: ({ intentId, amount, outcome = "succeeded", failureReason }) => {
+            const created = Math.floor(Date.now() / 1000);
+            const succeeded = outcome === "succeeded";
+            const payload = JSON.stringify({
+                id: `mock_evt_${crypto.randomBytes(12).toString("hex")}`,
+                type: succeeded ? PAYMENT_EVENT_TYPES.SUCCEEDED : PAYMENT_EVENT_TYPES.FAILED,
+                created,
+                data: {
+                    intentId,
+                    amount,
+                    transactionId: succeeded ? `mock_txn_${crypto.randomBytes(8).toString("hex")}` : undefined,
+                    failureReason: succeeded ? undefined : (failureReason || "Payment declined")
+                }
+            });
+
+            return {
+                rawBody: payload,
+                headers: {
+                    [SIGNATURE_HEADER]: computeSignature(webhookSecret, created, payload),
+                    [TIMESTAMP_HEADER]: String(created)
+                }
+            };
+        }
+    };
+};
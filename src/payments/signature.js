@@ -0,0 +1,26 @@
+import crypto from "crypto";
+
+/**
+ * Webhook signature helpers
+ * Signatures are hex HMAC-SHA256 digests of `${timestamp}.${rawBody}`
+ */
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export const computeSignature = (secret, timestamp, payload) =>
+    crypto.createHmac("sha256", secret).update(`${timestamp}.${payload}`).digest("hex");
+
+/**
+ * Verify a webhook signature in constant time and reject stale timestamps to limit replays
+ */
+export const verifySignature = ({ secret, payload, signature, timestamp, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) => {
+    if (!secret || !payload || !signature || !timestamp) return false;
+
+    const age = Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp));
+    if (!Number.isFinite(age) || age > toleranceSeconds) return false;
+
+    const expected = Buffer.from(computeSignature(secret, timestamp, payload), "hex");
+    const received = Buffer.from(String(signature), "hex");
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
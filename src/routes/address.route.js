@@ -0,0 +1,22 @@
+import { Router } from "express";
+import {
+    getAddresses,
+    getAddressById,
+    createAddress,
+    updateAddress,
+    setDefaultAddress,
+    deleteAddress
+} from "../controllers/address.controller.js";
+import { isAuthenticated } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// Protected routes – a user only ever sees their own address book
+router.get("/", isAuthenticated, getAddresses);                         // Saved addresses, defaults first
+router.post("/", isAuthenticated, createAddress);                       // Add an address
+router.get("/:id", isAuthenticated, getAddressById);                    // Get one address
+router.patch("/:id", isAuthenticated, updateAddress);                   // Edit an address
+router.patch("/:id/default", isAuthenticated, setDefaultAddress);       // Make it the default shipping and/or billing address
+router.delete("/:id", isAuthenticated, deleteAddress);                  // Remove an address
+
+export default router;
@@ -4,18 +4,40 @@ import {
     getCart,
     updateCart,
     removeFromCart,
-    clearCart
+    clearCart,
+    applyCoupon,
+    removeCoupon,
+    getShippingQuote,
+    getAbandonedCarts,
+    remindAbandonedCarts
 } from "../controllers/cart.controller.js";
-import { isAuthenticated } from "../middlewares/auth.middleware.js";
+import { saveForLater } from "../controllers/wishlist.controller.js";
+import { isAuthenticated, optionalAuthentication, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { resolveCartOwner } from "../middlewares/cart.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
 
 const router = Router();
 
-// Protected routes – only accessible to logged-in users
-router.post("/add", isAuthenticated, addtoCart);       // Add product to cart
-router.get("/", isAuthenticated, getCart);              // Get current user's cart
-router.delete("/clear", isAuthenticated, clearCart);     // Empty entire cart
-router.put("/:id", isAuthenticated, updateCart);     // Update quantity or items
-router.delete("/:id", isAuthenticated, removeFromCart); // Remove specific item
+// Cart routes open to guests too – the cart belongs to the logged-in user or to the signed cart token
+const cartOwner = [optionalAuthentication, resolveCartOwner];
+
+router.post("/add", cartOwner, addtoCart);       // Add product to cart
+router.get("/", cartOwner, getCart);              // Get current user's or guest's cart
+router.delete("/clear", cartOwner, clearCart);     // Empty entire cart
+router.post("/shipping-quote", cartOwner, getShippingQuote); // Shipping fee for an address and payment method
+
+// Admin routes
+router.get("/abandoned", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF), getAbandonedCarts); // Abandoned carts with their value
+router.post("/abandoned/remind", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), remindAbandonedCarts);        // Send due reminders now
+
+// Protected routes – only accessible to logged-in users (coupon limits and wishlists are per account)
+router.post("/apply-coupon", isAuthenticated, applyCoupon); // Validate and attach a coupon code
+router.delete("/coupon", isAuthenticated, removeCoupon);    // Detach the coupon code
+router.post("/:id/save-for-later", isAuthenticated, saveForLater); // Move an item to the wishlist
+
+// Open to guests; registered after /coupon so that path is not taken for a product id
+router.put("/:id", cartOwner, updateCart);     // Update quantity or items
+router.delete("/:id", cartOwner, removeFromCart); // Remove specific item
 
 
 export default router;
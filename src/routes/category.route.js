@@ -2,34 +2,42 @@ import { Router } from "express";
 import {
     createCategory,
     getAllCategories,
+    getCategoryTree,
+    getCategoryBreadcrumbs,
     getCategoryById,
     updateCategory,
     deleteCategory
 } from "../controllers/category.controller.js";
-import { isAuthenticated } from "../middlewares/auth.middleware.js";
+import { isAuthenticated, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
 
 const router = Router();
 
 // Public routes
 router.get("/all", getAllCategories);
+router.get("/tree", getCategoryTree);
+router.get("/:slug/breadcrumbs", getCategoryBreadcrumbs);
 router.get("/:id", getCategoryById);
 
 // Admin-only routes
 router.post(
     "/",
     isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
     createCategory
 );
 
 router.put(
     "/:id",
     isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
     updateCategory
 );
 
 router.delete(
     "/:id",
     isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN),
     deleteCategory
 );
 
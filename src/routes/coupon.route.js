@@ -0,0 +1,23 @@
+import { Router } from "express";
+import {
+    createCoupon,
+    getAllCoupons,
+    getCouponById,
+    updateCoupon,
+    deleteCoupon
+} from "../controllers/coupon.controller.js";
+import { isAuthenticated, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
+
+const router = Router();
+
+// Admin-only routes
+router.use(isAuthenticated, authorizeRoles(USER_ROLES.ADMIN));
+
+router.get("/all", getAllCoupons);
+router.get("/:id", getCouponById);
+router.post("/", createCoupon);
+router.put("/:id", updateCoupon);
+router.delete("/:id", deleteCoupon);
+
+export default router;
@@ -11,23 +11,25 @@ import {
     trackOrder
 } from "../controllers/order.controller.js";
 
-import { isAuthenticated} from "../middlewares/auth.middleware.js";
+import { isAuthenticated, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
 
 const router = Router();
 
 // Public routes (no authentication required)
 router.get("/track/:id", trackOrder);
 
+// Admin routes (authentication + admin role required)
+// Declared before /:id so that "all" and "analytics" are not captured as order IDs
+router.get("/all", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF), getAllOrders);
+router.get("/analytics", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), getOrderAnalytics);
+router.patch("/:id/status", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF), updateOrderStatus);
+router.patch("/:id/payment-status", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), updatePaymentStatus);
+
 // User routes (authentication required)
 router.post("/", isAuthenticated, createOrder);
 router.get("/my-orders", isAuthenticated, getUserOrders);
 router.get("/:id", isAuthenticated, getOrderById);
 router.patch("/:id/cancel", isAuthenticated, cancelOrder);
 
-// Admin routes (authentication + admin role required)
-router.get("/all", getAllOrders);
-router.get("/analytics", getOrderAnalytics);
-router.patch("/:id/status", updateOrderStatus);
-router.patch("/:id/payment-status", updatePaymentStatus);
-
-export default router;
\ No newline at end of file
+export default router;
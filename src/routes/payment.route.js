@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+    handlePaymentWebhook,
+    createOrderPaymentIntent,
+    simulateMockPayment
+} from "../controllers/payment.controller.js";
+import { isAuthenticated } from "../middlewares/auth.middleware.js";
+import { isMockPaymentsEnabled } from "../payments/index.js";
+import { ApiError } from "../utils/ApiError.js";
+
+const router = Router();
+
+// Gateway callbacks – authenticated by HMAC signature, not by user session
+router.post("/webhook/:provider", handlePaymentWebhook);
+
+// User routes (authentication required)
+router.post("/orders/:id/intent", isAuthenticated, createOrderPaymentIntent);
+
+// Local testing without a real gateway; checked per request since env is loaded after the routes
+const requireMockPayments = (req, res, next) => {
+    if (!isMockPaymentsEnabled()) {
+        return next(new ApiError(404, `Not Found - ${req.originalUrl}`));
+    }
+    next();
+};
+router.post("/mock/:intentId/simulate", requireMockPayments, isAuthenticated, simulateMockPayment);
+
+export default router;
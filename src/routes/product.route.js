@@ -4,39 +4,99 @@ import {
     getProductById,
     getAllProducts,
     updateProduct,
+    updateProductStatus,
     deleteProduct,
     searchProducts,
+    suggestProducts,
+    reindexProductSearch,
     filterProducts,
     minStockProducts,
-    getFeaturedProducts
+    getFeaturedProducts,
+    getLowStockVariants,
+    addVariant,
+    updateVariant,
+    removeVariant,
+    getInventoryMovements
 } from "../controllers/product.controller.js";
-import {  isAuthenticated } from "../middlewares/auth.middleware.js";
+import { isAuthenticated, authorizeRoles } from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multer.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
 
 const router = Router();
 
 // Public routes (specific routes before /:id)
 router.get("/search", searchProducts);
+router.get("/suggest", suggestProducts);
 router.get("/filter", filterProducts);
+router.get("/browse", filterProducts);
 router.get("/featured", getFeaturedProducts);
 router.get("/products", getAllProducts);
-router.get("/:id", getProductById);
 
 // Admin-only routes (require authentication + admin role)
-router.get("/min-stock", minStockProducts);
+router.get("/min-stock",
+    isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
+    minStockProducts
+);
+router.get("/low-stock-variants",
+    isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
+    getLowStockVariants
+);
+router.post("/search/reindex",
+    isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN),
+    reindexProductSearch
+);
+
+router.post("/:id/variants",
+    isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
+    upload.single("image"),
+    addVariant
+);
+router.put("/:id/variants/:variantId",
+    isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
+    upload.single("image"),
+    updateVariant
+);
+router.delete("/:id/variants/:variantId",
+    isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
+    removeVariant
+);
+
+router.patch("/:id/status",
+    isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
+    updateProductStatus
+);
+
+router.get("/:id/inventory-movements",
+    isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
+    getInventoryMovements
+);
+
+router.get("/:id", getProductById);
+
 router.post("/",
     isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
     upload.single("image"),
     createProduct
 );
 router.put("/:id",
     isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF),
     upload.single("image"),
     updateProduct
 );
 router.delete("/:id",
     isAuthenticated,
+    authorizeRoles(USER_ROLES.ADMIN),
     deleteProduct
 );
 
-export default router;
\ No newline at end of file
+export default router;
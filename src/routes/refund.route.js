@@ -0,0 +1,27 @@
+import { Router } from "express";
+import {
+    requestRefund,
+    getMyRefunds,
+    createRefund,
+    approveRefund,
+    reconcileRefund,
+    rejectRefund,
+    getAllRefunds
+} from "../controllers/refund.controller.js";
+import { isAuthenticated, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
+
+const router = Router();
+
+// User routes (authentication required)
+router.post("/request", isAuthenticated, requestRefund);
+router.get("/my-refunds", isAuthenticated, getMyRefunds);
+
+// Admin routes (authentication + admin role required)
+router.get("/all", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF), getAllRefunds);
+router.post("/", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), createRefund);
+router.patch("/:id/approve", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), approveRefund);
+router.patch("/:id/reconcile", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), reconcileRefund);   // Finish a refund stuck in processing
+router.patch("/:id/reject", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), rejectRefund);
+
+export default router;
@@ -0,0 +1,31 @@
+import { Router } from "express";
+import {
+    createReview,
+    getProductReviews,
+    updateReview,
+    deleteReview,
+    markReviewHelpful,
+    unmarkReviewHelpful,
+    getAllReviews,
+    moderateReview
+} from "../controllers/review.controller.js";
+import { isAuthenticated, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
+
+const router = Router();
+
+// Admin routes (authentication + admin role required)
+router.get("/all", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF), getAllReviews);
+router.patch("/:id/moderate", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), moderateReview);
+
+// Public routes
+router.get("/product/:productId", getProductReviews);
+
+// User routes (authentication required)
+router.post("/product/:productId", isAuthenticated, createReview);
+router.patch("/:id", isAuthenticated, updateReview);
+router.delete("/:id", isAuthenticated, deleteReview);
+router.post("/:id/helpful", isAuthenticated, markReviewHelpful);
+router.delete("/:id/helpful", isAuthenticated, unmarkReviewHelpful);
+
+export default router;
@@ -0,0 +1,12 @@
+import { Router } from "express";
+import { getRules, updateRules } from "../controllers/shipping.controller.js";
+import { isAuthenticated, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
+
+const router = Router();
+
+// Admin routes – customers get fees through POST /cart/shipping-quote
+router.get("/rules", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN, USER_ROLES.STAFF), getRules);   // Zones, rates and surcharges in use
+router.put("/rules", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), updateRules);                  // Replace the shipping rules
+
+export default router;
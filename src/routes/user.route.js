@@ -2,27 +2,74 @@ import { Router } from "express";
 import {
     registerUser,
     loginUser,
+    verifyTwoFactorLogin,
     logoutUser,
     refreshAccessToken,
     getCurrentUser,
     updateAccountDetails,
     changeCurrentPassword,
-    verifyEmail
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    getSessions,
+    revokeSession,
+    getAllUsers,
+    updateUserRole,
+    forceLogoutUser,
+    unlockUser
 } from "../controllers/user.controller.js";
-import { isAuthenticated } from "../middlewares/auth.middleware.js";
+import {
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    regenerateBackupCodes,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy
+} from "../controllers/twoFactor.controller.js";
+import addressRoutes from "./address.route.js";
+import { isAuthenticated, authorizeRoles } from "../middlewares/auth.middleware.js";
+import { USER_ROLES } from "../models/user.model.js";
+import { rateLimit } from "../utils/middleware.js";
 
 const router = Router();
 
+// Stricter limit for endpoints that accept credentials or tokens
+const authLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    message: "Too many attempts, please try again later"
+});
+
 // 🔓 Public Routes
-router.post("/register", registerUser);             // Register a new user
-router.post("/login", loginUser);                   // Login and get access/refresh tokens
+router.post("/register", authLimiter, registerUser);             // Register a new user
+router.post("/login", authLimiter, loginUser);                   // Login and get access/refresh tokens
+router.post("/login/2fa", authLimiter, verifyTwoFactorLogin);    // Exchange a 2FA challenge and code for tokens
 router.post("/refresh-token", refreshAccessToken);  // Get new access token using refresh token
+router.post("/verify-email", verifyEmail);          // Confirm email with the token from the verification link
+router.post("/forgot-password", authLimiter, forgotPassword);    // Email a password reset link
+router.post("/reset-password", authLimiter, resetPassword);      // Set a new password with the token from the reset link
 
 // 🔐 Protected Routes (Requires Authentication)
 router.get("/profile", isAuthenticated, getCurrentUser);                     // Get current logged-in user info
 router.post("/logout", isAuthenticated, logoutUser);                         // Logout user
 router.post("/update-profile", isAuthenticated, updateAccountDetails);      // Update name, email, etc.
 router.post("/change-password", isAuthenticated, changeCurrentPassword);    // Change user password
-router.post("/verify-email", isAuthenticated, verifyEmail);                 // Trigger email verification
+router.post("/resend-verification", authLimiter, isAuthenticated, resendVerificationEmail); // Send a new verification link
+router.get("/sessions", isAuthenticated, getSessions);                      // Devices currently signed in
+router.delete("/sessions/:id", isAuthenticated, revokeSession);             // Sign out one device
+router.post("/2fa/setup", isAuthenticated, setupTwoFactor);                 // Get a TOTP secret and otpauth URI
+router.post("/2fa/confirm", isAuthenticated, confirmTwoFactor);             // Enable 2FA with a code, receive backup codes
+router.post("/2fa/disable", isAuthenticated, disableTwoFactor);             // Turn 2FA off (password + code)
+router.post("/2fa/backup-codes", isAuthenticated, regenerateBackupCodes);   // Replace the backup codes
+router.use("/addresses", addressRoutes);                                    // Address book
+
+// 🛡️ Admin Routes (Requires admin role)
+router.get("/2fa/policy", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), getTwoFactorPolicy);       // Roles that must use 2FA
+router.put("/2fa/policy", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), updateTwoFactorPolicy);    // Require 2FA for privileged roles
+router.get("/all", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), getAllUsers);                  // List users, optionally by role
+router.patch("/:id/role", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), updateUserRole);        // Promote or demote a user
+router.post("/:id/force-logout", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), forceLogoutUser); // Revoke all of a user's sessions
+router.post("/:id/unlock", isAuthenticated, authorizeRoles(USER_ROLES.ADMIN), unlockUser);           // Clear a failed-login lockout
 
 export default router;
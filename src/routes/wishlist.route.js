@@ -0,0 +1,18 @@
+import { Router } from "express";
+import {
+    getWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    moveToCart
+} from "../controllers/wishlist.controller.js";
+import { isAuthenticated } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+// Protected routes – only accessible to logged-in users
+router.get("/", isAuthenticated, getWishlist);                                // Wishlist with live price and stock
+router.post("/", isAuthenticated, addToWishlist);                             // Save a product (and variant)
+router.post("/:productId/move-to-cart", isAuthenticated, moveToCart);         // Move an item into the cart
+router.delete("/:productId", isAuthenticated, removeFromWishlist);            // Remove an item
+
+export default router;
@@ -0,0 +1,47 @@
+import { Setting } from "../models/setting.model.js";
+import { roundCurrency } from "../utils/pricing.js";
+import { DEFAULT_SHIPPING_RULES, calculateShippingFee, validateShippingRules } from "./rates.js";
+
+export { DEFAULT_SHIPPING_RULES, validateShippingRules } from "./rates.js";
+
+/**
+ * Shipping rules are kept in the settings collection so admins can change them without a deploy;
+ * until they do, DEFAULT_SHIPPING_RULES apply
+ */
+export const SHIPPING_RULES_KEY = "shippingRules";
+const RULES_CACHE_MS = 60 * 1000;
+
+let rulesCache = { rules: null, expiresAt: 0 };
+
+export const getShippingRules = async () => {
+    if (!rulesCache.rules || rulesCache.expiresAt < Date.now()) {
+        const stored = await Setting.getValue(SHIPPING_RULES_KEY, null);
+        rulesCache = {
+            rules: validateShippingRules(stored ?? DEFAULT_SHIPPING_RULES),
+            expiresAt: Date.now() + RULES_CACHE_MS
+        };
+    }
+    return rulesCache.rules;
+};
+
+export const setShippingRules = async (rules, updatedBy) => {
+    const validated = validateShippingRules(rules);
+    await Setting.setValue(SHIPPING_RULES_KEY, validated, updatedBy);
+    rulesCache = { rules: null, expiresAt: 0 };
+    return validated;
+};
+
+/**
+ * Quote shipping for priced line items ({ quantity, unitWeight, totalPrice }) going to an address
+ */
+export const quoteShipping = async ({ address, items, discount = 0, paymentMethod }) => {
+    const weight = items.reduce((total, item) => total + (item.unitWeight || 0) * item.quantity, 0);
+    const subtotal = items.reduce((total, item) => total + item.totalPrice, 0);
+
+    return calculateShippingFee(await getShippingRules(), {
+        address,
+        weight,
+        orderValue: roundCurrency(Math.max(subtotal - discount, 0)),
+        paymentMethod
+    });
+};
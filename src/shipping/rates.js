@@ -0,0 +1,174 @@
+import { ApiError } from "../utils/ApiError.js";
+import { roundCurrency } from "../utils/pricing.js";
+
+/**
+ * Shipping rate rules
+ *
+ * A zone matches an address by country, state and/or postal-code prefix; every list that is
+ * set must match, an empty list matches anything. The most specific matching zone wins
+ * (postal prefix over state over country), ties go to the zone listed first.
+ *
+ * Within a zone the first rate whose maxWeight (grams) and minOrderValue both fit is used,
+ * so list rates from light to heavy and leave maxWeight off the last one as a catch-all.
+ * freeShippingThreshold waives the rate once the order value (after discount) reaches it;
+ * the COD surcharge is charged on top either way.
+ */
+export const DEFAULT_SHIPPING_RULES = {
+    codSurcharge: 30,
+    freeShippingThreshold: null,
+    zones: [
+        {
+            name: "India",
+            countries: ["India"],
+            states: [],
+            postalPrefixes: [],
+            freeShippingThreshold: 499,
+            rates: [
+                { maxWeight: 500, fee: 40 },
+                { maxWeight: 2000, fee: 70 },
+                { maxWeight: 5000, fee: 120 },
+                { fee: 200 }
+            ]
+        }
+    ]
+};
+
+const normalizeText = (value) => String(value ?? "").trim().toLowerCase();
+const normalizePostal = (value) => String(value ?? "").replace(/\s/g, "").toUpperCase();
+
+const isNonNegativeNumber = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+const isOptionalAmount = (value) => value == null || isNonNegativeNumber(value);
+
+const stringList = (value, field, zoneName) => {
+    if (value == null) return [];
+    if (!Array.isArray(value) || value.some(entry => typeof entry !== "string" || !entry.trim())) {
+        throw new ApiError(400, `Zone '${zoneName}': ${field} must be a list of non-empty strings`);
+    }
+    return value.map(entry => entry.trim());
+};
+
+/**
+ * Check rules sent by an admin and return them in canonical form
+ */
+export const validateShippingRules = (rules) => {
+    if (!rules || typeof rules !== "object" || !Array.isArray(rules.zones) || rules.zones.length === 0) {
+        throw new ApiError(400, "Shipping rules need at least one zone");
+    }
+    if (!isOptionalAmount(rules.codSurcharge) || !isOptionalAmount(rules.freeShippingThreshold)) {
+        throw new ApiError(400, "codSurcharge and freeShippingThreshold must be amounts of 0 or more");
+    }
+
+    const names = new Set();
+    const zones = rules.zones.map((zone, index) => {
+        const name = typeof zone?.name === "string" && zone.name.trim() ? zone.name.trim() : null;
+        if (!name) {
+            throw new ApiError(400, `Zone ${index + 1} needs a name`);
+        }
+        if (names.has(name.toLowerCase())) {
+            throw new ApiError(400, `Zone name '${name}' is used twice`);
+        }
+        names.add(name.toLowerCase());
+
+        if (!isOptionalAmount(zone.codSurcharge) || !isOptionalAmount(zone.freeShippingThreshold)) {
+            throw new ApiError(400, `Zone '${name}': codSurcharge and freeShippingThreshold must be amounts of 0 or more`);
+        }
+        if (!Array.isArray(zone.rates) || zone.rates.length === 0) {
+            throw new ApiError(400, `Zone '${name}' needs at least one rate`);
+        }
+
+        const rates = zone.rates.map(rate => {
+            if (!isNonNegativeNumber(rate?.fee) || !isOptionalAmount(rate.maxWeight) || !isOptionalAmount(rate.minOrderValue)) {
+                throw new ApiError(400, `Zone '${name}': each rate needs a fee, and maxWeight/minOrderValue of 0 or more when set`);
+            }
+            return {
+                ...(rate.maxWeight != null && { maxWeight: rate.maxWeight }),
+                ...(rate.minOrderValue != null && { minOrderValue: rate.minOrderValue }),
+                fee: rate.fee
+            };
+        });
+
+        return {
+            name,
+            countries: stringList(zone.countries, "countries", name),
+            states: stringList(zone.states, "states", name),
+            postalPrefixes: stringList(zone.postalPrefixes, "postalPrefixes", name).map(normalizePostal),
+            ...(zone.codSurcharge != null && { codSurcharge: zone.codSurcharge }),
+            ...(zone.freeShippingThreshold != null && { freeShippingThreshold: zone.freeShippingThreshold }),
+            rates
+        };
+    });
+
+    return {
+        codSurcharge: rules.codSurcharge ?? 0,
+        freeShippingThreshold: rules.freeShippingThreshold ?? null,
+        zones
+    };
+};
+
+// How specifically a zone matches an address, or -1 when it doesn't match at all
+const zoneSpecificity = (zone, address) => {
+    const country = normalizeText(address.country || "India");
+    const state = normalizeText(address.state);
+    const postalCode = normalizePostal(address.postalCode);
+
+    if (zone.countries.length && !zone.countries.some(entry => normalizeText(entry) === country)) return -1;
+    if (zone.states.length && !zone.states.some(entry => normalizeText(entry) === state)) return -1;
+
+    let score = (zone.countries.length ? 1 : 0) + (zone.states.length ? 10 : 0);
+    if (zone.postalPrefixes.length) {
+        const matched = zone.postalPrefixes.filter(prefix => postalCode.startsWith(prefix));
+        if (!matched.length) return -1;
+        score += 100 + Math.max(...matched.map(prefix => prefix.length));
+    }
+    return score;
+};
+
+export const findShippingZone = (rules, address) => {
+    let best = null;
+    let bestScore = -1;
+    for (const zone of rules.zones) {
+        const score = zoneSpecificity(zone, address);
+        if (score > bestScore) {
+            best = zone;
+            bestScore = score;
+        }
+    }
+    return best;
+};
+
+/**
+ * Work out the shipping fee for an order
+ * weight is the total in grams, orderValue the subtotal after discount
+ */
+export const calculateShippingFee = (rules, { address, weight = 0, orderValue = 0, paymentMethod }) => {
+    const zone = findShippingZone(rules, address);
+    if (!zone) {
+        throw new ApiError(400, "We don't deliver to this address yet");
+    }
+
+    const rate = zone.rates.find(entry =>
+        (entry.maxWeight == null || weight <= entry.maxWeight) &&
+        (entry.minOrderValue == null || orderValue >= entry.minOrderValue)
+    );
+    if (!rate) {
+        throw new ApiError(400, `This order is too heavy to ship to ${zone.name}`);
+    }
+
+    const freeShippingThreshold = zone.freeShippingThreshold ?? rules.freeShippingThreshold;
+    const freeShipping = freeShippingThreshold != null && orderValue >= freeShippingThreshold;
+    const baseFee = freeShipping ? 0 : rate.fee;
+    const codSurcharge = paymentMethod === "COD" ? (zone.codSurcharge ?? rules.codSurcharge ?? 0) : 0;
+
+    return {
+        zone: zone.name,
+        weight,
+        baseFee: roundCurrency(baseFee),
+        codSurcharge: roundCurrency(codSurcharge),
+        freeShipping,
+        freeShippingThreshold,
+        amountToFreeShipping: freeShippingThreshold != null && !freeShipping
+            ? roundCurrency(freeShippingThreshold - orderValue)
+            : 0,
+        fee: roundCurrency(baseFee + codSurcharge)
+    };
+};
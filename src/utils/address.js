@@ -0,0 +1,92 @@
+import { ApiError } from "./ApiError.js";
+import { Address } from "../models/address.model.js";
+import { sanitizeString, validateObjectId, validatePhoneNumber, validatePostalCode } from "./validation.js";
+
+/**
+ * Address utilities shared by the address book and checkout
+ */
+
+const ADDRESS_TEXT_FIELDS = {
+    fullName: 100,
+    street: 200,
+    city: 100,
+    state: 100,
+    country: 56
+};
+
+/**
+ * Validate and normalise address fields from a request body
+ * With partial set only the fields present are checked (for updates); postal codes are
+ * checked against the country being saved, falling back to the current one
+ */
+export const normalizeAddressInput = (input = {}, { partial = false, current = {} } = {}) => {
+    if (!input || typeof input !== "object") {
+        throw new ApiError(400, "Address is required");
+    }
+
+    const fields = {};
+
+    for (const [field, maxLength] of Object.entries(ADDRESS_TEXT_FIELDS)) {
+        if (input[field] === undefined) {
+            if (!partial && field !== "country") {
+                throw new ApiError(400, `${field} is required`);
+            }
+            continue;
+        }
+        fields[field] = sanitizeString(input[field], { maxLength });
+    }
+
+    if (input.phone !== undefined || !partial) {
+        fields.phone = validatePhoneNumber(input.phone);
+    }
+
+    const country = fields.country ?? current.country;
+    if (input.postalCode !== undefined || !partial) {
+        fields.postalCode = validatePostalCode(input.postalCode, country);
+    } else if (fields.country !== undefined && current.postalCode) {
+        // Changing the country alone must still leave a valid postal code
+        validatePostalCode(current.postalCode, country);
+    }
+
+    if (input.label !== undefined) {
+        fields.label = input.label === null || input.label === "" ? undefined : sanitizeString(input.label, { maxLength: 30 });
+    }
+
+    return fields;
+};
+
+/**
+ * Load an address from the user's address book or fail with 404
+ */
+export const findUserAddress = async (userId, addressId, { session = null, field = "Address ID" } = {}) => {
+    validateObjectId(addressId, field);
+
+    const address = await Address.findOne({ _id: addressId, user: userId }).session(session);
+    if (!address) {
+        throw new ApiError(404, "Address not found");
+    }
+    return address;
+};
+
+/**
+ * Shipping address for checkout or a quote: a saved address, a typed-in one, or the user's
+ * default shipping address. Returns the snapshot and the address book entry it came from, if any
+ */
+export const resolveShippingAddress = async (userId, { addressId, address } = {}) => {
+    if (addressId) {
+        if (!userId) {
+            throw new ApiError(401, "Sign in to use a saved address");
+        }
+        const entry = await findUserAddress(userId, addressId);
+        return { address: entry.toSnapshot(), entry };
+    }
+    if (address) {
+        return { address: normalizeAddressInput(address), entry: null };
+    }
+
+    const entry = userId ? await Address.findOne({ user: userId, isDefaultShipping: true }) : null;
+    if (!entry) {
+        throw new ApiError(400, "Shipping address is required");
+    }
+    return { address: entry.toSnapshot(), entry };
+};
@@ -0,0 +1,80 @@
+import { ApiError } from "./ApiError.js";
+import { Coupon } from "../models/coupon.model.js";
+import { Order } from "../models/order.model.js";
+import { Category } from "../models/category.model.js";
+import { roundCurrency } from "./pricing.js";
+
+/**
+ * Coupon utilities shared by the cart and checkout
+ */
+
+// Orders in these statuses give their redemption back, both per user and against the usage limit
+export const RELEASED_ORDER_STATUS = ["cancelled", "returned"];
+
+/**
+ * Validate a coupon code for a user against priced line items ({ product, category, totalPrice })
+ * Throws ApiError when the coupon cannot be used, otherwise returns the computed discount
+ * and the lines it applies to (eligibleItems), which are the only ones that share the discount
+ */
+export const evaluateCoupon = async ({ code, userId, items, session = null }) => {
+    const coupon = await Coupon.findByCode(code).session(session);
+    if (!coupon) {
+        throw new ApiError(404, "Invalid coupon code");
+    }
+
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.totalPrice, 0));
+    const userRedemptions = await Order.countDocuments({
+        user: userId,
+        coupon: coupon._id,
+        orderStatus: { $nin: RELEASED_ORDER_STATUS }
+    }).session(session);
+
+    const reason = coupon.getIneligibilityReason({ subtotal, userRedemptions });
+    if (reason) {
+        throw new ApiError(400, reason);
+    }
+
+    // A coupon for a category also covers everything in its subcategories
+    const categoryIds = coupon.applicableCategories.length
+        ? await Category.getSubtreeIds(coupon.applicableCategories)
+        : [];
+
+    const { discount, eligibleSubtotal } = coupon.calculateDiscount(items, categoryIds);
+    if (discount <= 0) {
+        throw new ApiError(400, "This coupon does not apply to any item in your cart");
+    }
+
+    const eligibleItems = items.filter(item => coupon.appliesTo(item, categoryIds));
+
+    return { coupon, discount, eligibleSubtotal, eligibleItems, subtotal };
+};
+
+/**
+ * Count one redemption, guarding the global usage limit atomically
+ */
+export const redeemCoupon = async (coupon, session = null) => {
+    const result = await Coupon.updateOne(
+        {
+            _id: coupon._id,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ["$usedCount", "$usageLimit"] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { session }
+    );
+
+    if (result.modifiedCount === 0) {
+        throw new ApiError(409, "This coupon has reached its usage limit");
+    }
+};
+
+/**
+ * Give back the redemption of an order that was cancelled or returned
+ */
+export const releaseCoupon = (couponId, session = null) => Coupon.updateOne(
+    { _id: couponId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+);
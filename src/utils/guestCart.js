@@ -0,0 +1,113 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Cart, GUEST_CART_TTL_DAYS } from "../models/cart.model.js";
+import { Product, PRODUCT_STATUS } from "../models/product.model.js";
+import { lineItemKey } from "./pricing.js";
+
+/**
+ * Guest cart tokens
+ * Anonymous shoppers carry `${guestId}.${hmac}` in the cartToken cookie or the X-Cart-Token header;
+ * the HMAC stops clients from guessing someone else's guest id
+ */
+
+export const GUEST_CART_COOKIE = "cartToken";
+export const GUEST_CART_HEADER = "x-cart-token";
+
+const getSecret = () => process.env.CART_TOKEN_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+const signGuestId = (guestId) => crypto.createHmac("sha256", getSecret()).update(guestId).digest("base64url");
+
+export const createGuestCartToken = () => {
+    const guestId = crypto.randomUUID();
+    return { guestId, token: `${guestId}.${signGuestId(guestId)}` };
+};
+
+/**
+ * Return the guest id inside a token, or null when it is missing or tampered with
+ */
+export const verifyGuestCartToken = (token) => {
+    if (typeof token !== "string" || !getSecret()) return null;
+
+    const [guestId, signature] = token.split(".");
+    if (!guestId || !signature) return null;
+
+    const expected = Buffer.from(signGuestId(guestId));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received) ? guestId : null;
+};
+
+export const readGuestCartToken = (req) => req.cookies?.[GUEST_CART_COOKIE] || req.header(GUEST_CART_HEADER) || null;
+
+export const setGuestCartCookie = (res, token) => {
+    res.cookie(GUEST_CART_COOKIE, token, {
+        httpOnly: true,
+        secure: true,
+        sameSite: "lax",
+        maxAge: GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000
+    });
+    res.set("X-Cart-Token", token);
+};
+
+export const clearGuestCartCookie = (res) => res.clearCookie(GUEST_CART_COOKIE, { httpOnly: true, secure: true, sameSite: "lax" });
+
+/**
+ * Fold a guest cart into the user's cart: quantities for the same line add up, each line is capped at the
+ * stock available now, lines that can no longer be bought are dropped, and the guest cart is deleted.
+ * Returns null when there was nothing to merge, otherwise the lines that could not be merged in full.
+ */
+export const mergeGuestCart = async (guestId, userId) => {
+    if (!guestId) return null;
+
+    return mongoose.connection.transaction(async (session) => {
+        const guestCart = await Cart.findOne({ guestId }).session(session);
+        if (!guestCart) return null;
+
+        const adjustments = [];
+
+        if (guestCart.items.length) {
+            const cart = await Cart.findOne({ user: userId }).session(session) || new Cart({ user: userId });
+            const products = await Product.find({
+                _id: { $in: guestCart.items.map(item => item.product) }
+            }).session(session);
+            const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+            for (const guestItem of guestCart.items) {
+                const product = productsById.get(guestItem.product.toString());
+                const variant = product?.resolveVariant(guestItem.variant);
+
+                if (!product || product.status !== PRODUCT_STATUS.ACTIVE || (product.variants.length && !variant?.isActive)) {
+                    adjustments.push({ product: guestItem.product, variant: guestItem.variant, requested: guestItem.quantity, added: 0, reason: "unavailable" });
+                    continue;
+                }
+
+                const stock = variant ? variant.stock : product.stock;
+                const key = lineItemKey(guestItem);
+                const existing = cart.items.find(item => lineItemKey(item) === key);
+                const current = existing?.quantity || 0;
+                const quantity = Math.min(current + guestItem.quantity, stock);
+                const added = Math.max(quantity - current, 0);
+
+                if (added < guestItem.quantity) {
+                    adjustments.push({ product: product._id, variant: guestItem.variant, requested: guestItem.quantity, added, reason: "insufficient_stock" });
+                }
+                if (added === 0) continue;
+
+                if (existing) {
+                    existing.quantity = quantity;
+                } else {
+                    cart.items.push({
+                        product: product._id,
+                        variant: variant?._id || null,
+                        quantity,
+                        priceAtAddTime: product.getUnitPrice(variant)
+                    });
+                }
+            }
+
+            await cart.save({ session });
+        }
+
+        await guestCart.deleteOne({ session });
+        return { adjustments };
+    });
+};
@@ -0,0 +1,53 @@
+import { Product, PRODUCT_STATUS } from "../models/product.model.js";
+import { InventoryMovement } from "../models/inventoryMovement.model.js";
+
+/**
+ * Inventory utilities
+ * Every stock change made here is mirrored by an InventoryMovement entry
+ */
+
+/**
+ * Put units back into stock and record one movement per product
+ * Products that have since been removed from the catalog are skipped
+ */
+export const restockItems = async (items, { reason, order = null, actor = null, note, session } = {}) => {
+    const movements = [];
+
+    for (const item of items) {
+        const productId = item.product?._id || item.product;
+        const product = item.variant
+            ? await Product.findOneAndUpdate(
+                { _id: productId, "variants._id": item.variant },
+                { $inc: { stock: item.quantity, "variants.$.stock": item.quantity } },
+                { new: true, session }
+            )
+            : await Product.findOneAndUpdate(
+                { _id: productId },
+                { $inc: { stock: item.quantity } },
+                { new: true, session }
+            );
+
+        if (!product) continue;
+
+        if (product.status === PRODUCT_STATUS.OUT_OF_STOCK && product.stock > 0) {
+            await Product.updateOne(
+                { _id: product._id },
+                { $set: { status: PRODUCT_STATUS.ACTIVE } },
+                { session }
+            );
+        }
+
+        movements.push({
+            product: product._id,
+            variant: item.variant || null,
+            delta: item.quantity,
+            stockAfter: item.variant ? product.variants.id(item.variant).stock : product.stock,
+            reason,
+            order,
+            actor,
+            note
+        });
+    }
+
+    return InventoryMovement.record(movements, { session });
+};
@@ -0,0 +1,142 @@
+import { ApiError } from "./ApiError.js";
+import { validatePagination } from "./validation.js";
+
+/**
+ * Shared list query layer
+ * Every list endpoint answers with { items, nextCursor, total } and accepts:
+ *   limit, sort, order, fields=name,sellingPrice and either cursor (preferred) or page
+ */
+
+// Missing and null sort values are encoded the same way, as MongoDB sorts them together
+const encodeCursor = (doc, sortField) => {
+    const value = doc[sortField] ?? null;
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value,
+        t: value === null ? "null" : value instanceof Date ? "date" : typeof value,
+        id: doc._id.toString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (!payload || !/^[0-9a-fA-F]{24}$/.test(payload.id)) throw new Error("Malformed cursor");
+        return {
+            value: payload.t === "null" ? null : payload.t === "date" ? new Date(payload.v) : payload.v,
+            id: payload.id
+        };
+    } catch {
+        throw new ApiError(400, "Invalid cursor");
+    }
+};
+
+/**
+ * Offset cursors, for result sets ordered by something other than a field (e.g. relevance)
+ */
+export const encodeOffsetCursor = (offset) => Buffer.from(JSON.stringify({ o: offset })).toString("base64url");
+
+export const decodeOffsetCursor = (cursor) => {
+    if (!cursor) return 0;
+    try {
+        const { o } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        if (!Number.isInteger(o) || o < 0) throw new Error("Malformed cursor");
+        return o;
+    } catch {
+        throw new ApiError(400, "Invalid cursor");
+    }
+};
+
+/**
+ * Parse and whitelist list parameters from req.query
+ */
+export const parseListQuery = (query, {
+    sortFields = ["createdAt"],
+    defaultSort = "createdAt",
+    selectableFields = [],
+    defaultLimit = 20
+} = {}) => {
+    const { page, limit, sort, order, skip } = validatePagination(query, {
+        defaultSort,
+        defaultLimit,
+        allowedSortFields: sortFields
+    });
+
+    let projection = null;
+    if (query.fields) {
+        const requested = String(query.fields).split(",").map(field => field.trim()).filter(Boolean);
+        const invalid = requested.filter(field => !selectableFields.includes(field));
+        if (invalid.length) {
+            throw new ApiError(400, `Invalid fields: ${invalid.join(", ")}. Allowed: ${selectableFields.join(", ")}`);
+        }
+        // The sort field is always returned so the next cursor can be built
+        projection = [...new Set([...requested, sort])].join(" ");
+    }
+
+    return {
+        limit,
+        sort,
+        direction: order === "asc" ? 1 : -1,
+        projection,
+        cursor: query.cursor ? decodeCursor(query.cursor) : null,
+        skip: query.cursor ? 0 : skip,
+        page
+    };
+};
+
+// Keyset condition on (sort field, _id) so ties on the sort field never skip or repeat documents.
+// MongoDB sorts null and missing values before everything else, and $gt/$lt never match them,
+// so they are handled explicitly: first when ascending, last when descending
+const keysetConditions = (sort, direction, cursor) => {
+    const comparator = direction === 1 ? "$gt" : "$lt";
+    const sameValueLaterId = { [sort]: cursor.value, _id: { [comparator]: cursor.id } };
+
+    if (cursor.value === null) {
+        return direction === 1
+            ? [sameValueLaterId, { [sort]: { $ne: null } }]
+            : [sameValueLaterId];
+    }
+
+    return direction === 1
+        ? [{ [sort]: { $gt: cursor.value } }, sameValueLaterId]
+        : [{ [sort]: { $lt: cursor.value } }, sameValueLaterId, { [sort]: null }];
+};
+
+/**
+ * Run a paginated find and wrap the result in the standard envelope
+ */
+export const paginate = async (Model, filter, listQuery, { populate = [], lean = false } = {}) => {
+    const { limit, sort, direction, projection, cursor, skip } = listQuery;
+
+    const pageFilter = cursor
+        ? { $and: [filter, { $or: keysetConditions(sort, direction, cursor) }] }
+        : filter;
+
+    let query = Model.find(pageFilter)
+        .sort({ [sort]: direction, _id: direction })
+        .skip(skip)
+        .limit(limit + 1);
+
+    if (projection) query = query.select(projection);
+    [].concat(populate).forEach(option => { query = query.populate(option); });
+    if (lean) query = query.lean();
+
+    const [docs, total] = await Promise.all([query, Model.countDocuments(filter)]);
+
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+
+    return {
+        items,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+        total
+    };
+};
+
+/**
+ * Convenience wrapper: parse req.query and paginate in one call
+ */
+export const listDocuments = (Model, filter, query, options = {}) => {
+    const { populate, lean, ...parseOptions } = options;
+    return paginate(Model, filter, parseListQuery(query, parseOptions), { populate, lean });
+};
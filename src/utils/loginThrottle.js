@@ -0,0 +1,57 @@
+import { LoginThrottle } from "../models/loginThrottle.model.js";
+
+/**
+ * Failed-login throttling
+ * Failures are counted per account and per client IP. After a number of free attempts
+ * every further failure locks the key for an exponentially growing period, up to a cap.
+ */
+
+const POLICIES = {
+    account: { freeAttempts: 5, baseLockMs: 30 * 1000, maxLockMs: 30 * 60 * 1000 },
+    ip: { freeAttempts: 20, baseLockMs: 30 * 1000, maxLockMs: 60 * 60 * 1000 }
+};
+
+// Counters reset after this long without a failure
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Known accounts are counted by _id, so logging in by username or by email shares one counter;
+// identifiers that match no account get their own namespace
+export const accountThrottleKey = (user, identifier) => (user
+    ? `account:${user._id}`
+    : `account:unknown:${String(identifier).trim().toLowerCase()}`);
+export const ipThrottleKey = (ip) => `ip:${ip || "unknown"}`;
+
+const policyFor = (key) => (key.startsWith("ip:") ? POLICIES.ip : POLICIES.account);
+
+export const lockDuration = (failures, { freeAttempts, baseLockMs, maxLockMs }) =>
+    failures < freeAttempts ? 0 : Math.min(baseLockMs * 2 ** (failures - freeAttempts), maxLockMs);
+
+/**
+ * Seconds until all of the keys are unlocked (the latest lock wins), or 0 when none is locked
+ */
+export const getLockRemaining = async (keys) => {
+    const locked = await LoginThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: new Date() } }).select("lockedUntil");
+    if (!locked.length) return 0;
+
+    const until = Math.max(...locked.map(entry => entry.lockedUntil.getTime()));
+    return Math.ceil((until - Date.now()) / 1000);
+};
+
+export const recordLoginFailure = async (keys) => {
+    const now = new Date();
+
+    await Promise.all(keys.map(async (key) => {
+        const entry = await LoginThrottle.findOneAndUpdate(
+            { key },
+            { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MS) } },
+            { upsert: true, new: true }
+        );
+
+        const lockMs = lockDuration(entry.failures, policyFor(key));
+        if (lockMs > 0) {
+            await LoginThrottle.updateOne({ _id: entry._id }, { $set: { lockedUntil: new Date(now.getTime() + lockMs) } });
+        }
+    }));
+};
+
+export const clearLoginFailures = (keys) => LoginThrottle.deleteMany({ key: { $in: keys } });
@@ -1,5 +1,6 @@
 import { ApiError } from './ApiError.js';
 import crypto from 'crypto';
+import { rateLimit as expressRateLimit } from 'express-rate-limit';
 
 /**
  * Generate request ID
@@ -133,47 +134,28 @@ export const sanitizeInput = (req, res, next) => {
 };
 
 /**
- * Rate limiting middleware
+ * Rate limiting middleware (express-rate-limit, counted per client IP)
  */
 export const rateLimit = (options = {}) => {
-    const { windowMs = 60000, max = 100, message = 'Too many requests' } = options;
-    const requests = new Map();
+    const { windowMs = 60000, max = 100, message = 'Too many requests', ...rest } = options;
 
-    return (req, res, next) => {
-        const key = req.ip || 'unknown';
-        const now = Date.now();
-        const windowStart = now - windowMs;
-
-        // Clean old entries
-        const userRequests = (requests.get(key) || []).filter(time => time > windowStart);
-
-        // Check limit
-        if (userRequests.length >= max) {
-            logger.warn('Rate limit exceeded', { ip: key, requestId: req.requestId });
+    return expressRateLimit({
+        windowMs,
+        limit: max,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        handler: (req, res, next, limiterOptions) => {
+            logger.warn('Rate limit exceeded', { ip: req.ip, path: req.originalUrl, requestId: req.requestId });
 
-            res.setHeader('X-RateLimit-Limit', max);
-            res.setHeader('X-RateLimit-Remaining', 0);
-            res.setHeader('X-RateLimit-Reset', new Date(now + windowMs).toISOString());
-
-            return res.status(429).json({
+            res.status(limiterOptions.statusCode).json({
                 success: false,
-                statusCode: 429,
+                statusCode: limiterOptions.statusCode,
                 message,
                 requestId: req.requestId
             });
-        }
-
-        // Add current request
-        userRequests.push(now);
-        requests.set(key, userRequests);
-
-        // Set headers
-        res.setHeader('X-RateLimit-Limit', max);
-        res.setHeader('X-RateLimit-Remaining', Math.max(0, max - userRequests.length));
-        res.setHeader('X-RateLimit-Reset', new Date(now + windowMs).toISOString());
-
-        next();
-    };
+        },
+        ...rest
+    });
 };
 
 /**
@@ -0,0 +1,70 @@
+import { ApiError } from "./ApiError.js";
+
+/**
+ * Order pricing utilities
+ * All amounts are computed on the server; client supplied prices and totals are never trusted
+ */
+
+/**
+ * Round a currency amount to two decimals
+ */
+export const roundCurrency = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Identify a line by product and variant, so two sizes of one product stay separate lines
+ */
+export const lineItemKey = (item) => {
+    const productId = item?.product?._id?.toString() || item?.product?.toString() || "";
+    const variantId = item?.variant?.toString() || "";
+    return `${productId}:${variantId}`;
+};
+
+/**
+ * Normalise requested line items into one entry per product/variant with a positive integer quantity
+ */
+export const mergeLineItems = (items = []) => {
+    const merged = new Map();
+
+    for (const item of items) {
+        const productId = item?.product?._id?.toString() || item?.product?.toString();
+        const variantId = item?.variant?.toString() || null;
+        const quantity = Number(item?.quantity);
+
+        if (!productId) {
+            throw new ApiError(400, "Each item must reference a product");
+        }
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            throw new ApiError(400, "Item quantity must be a positive whole number");
+        }
+
+        const key = lineItemKey({ product: productId, variant: variantId });
+        const existing = merged.get(key);
+        merged.set(key, {
+            product: productId,
+            variant: variantId,
+            quantity: (existing?.quantity || 0) + quantity
+        });
+    }
+
+    return [...merged.values()];
+};
+
+/**
+ * Compute order totals from priced line items
+ * totalAmount = subtotal - discount + shippingFee, plus the tax when a calculateTaxes() result
+ * for tax-exclusive prices is passed (inclusive prices already contain it)
+ */
+export const calculateOrderTotals = (items, { discount = 0, shippingFee = 0, tax = null } = {}) => {
+    const subtotal = roundCurrency(items.reduce((sum, item) => sum + item.totalPrice, 0));
+    const appliedDiscount = roundCurrency(Math.min(Math.max(discount, 0), subtotal));
+    const appliedShippingFee = roundCurrency(Math.max(shippingFee, 0));
+    const addedTax = tax && !tax.pricesIncludeTax ? tax.taxAmount : 0;
+
+    return {
+        subtotal,
+        discount: appliedDiscount,
+        shippingFee: appliedShippingFee,
+        ...(tax && { taxAmount: tax.taxAmount }),
+        totalAmount: roundCurrency(subtotal - appliedDiscount + addedTax + appliedShippingFee)
+    };
+};
@@ -0,0 +1,82 @@
+/**
+ * Text helpers for product search: tokenising and typo tolerance
+ */
+
+const MAX_TOKEN_LENGTH = 40;
+
+/**
+ * Split text into lowercase word tokens (letters and digits only)
+ */
+export const tokenize = (text = "") =>
+    String(text)
+        .toLowerCase()
+        .normalize("NFKD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 0 && token.length <= MAX_TOKEN_LENGTH);
+
+/**
+ * Unique tokens for a set of fields, stored on the document for prefix lookups
+ */
+export const buildSearchTokens = (...values) => [...new Set(values.flatMap(value => tokenize(value)))];
+
+/**
+ * Levenshtein distance that gives up once it exceeds maxDistance
+ */
+export const boundedLevenshtein = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+
+    return previous[b.length];
+};
+
+// Short words tolerate one typo, longer words two
+const allowedDistance = (token) => (token.length <= 4 ? 1 : 2);
+
+/**
+ * Replace tokens that are not in the vocabulary with their closest known term
+ * Returns null when nothing could be corrected
+ */
+export const correctQuery = (query, vocabulary) => {
+    const known = vocabulary instanceof Set ? vocabulary : new Set(vocabulary);
+    let changed = false;
+
+    const corrected = tokenize(query).map(token => {
+        if (known.has(token) || token.length < 3) return token;
+
+        let best = null;
+        let bestDistance = allowedDistance(token) + 1;
+
+        for (const term of known) {
+            const distance = boundedLevenshtein(token, term, bestDistance - 1);
+            if (distance < bestDistance) {
+                best = term;
+                bestDistance = distance;
+                if (distance === 1) break;
+            }
+        }
+
+        if (best) {
+            changed = true;
+            return best;
+        }
+        return token;
+    });
+
+    return changed ? corrected.join(" ") : null;
+};
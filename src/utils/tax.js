@@ -0,0 +1,133 @@
+import { ApiError } from "./ApiError.js";
+import { lineItemKey, roundCurrency } from "./pricing.js";
+import { Category } from "../models/category.model.js";
+
+/**
+ * GST-style tax calculation
+ * Orders shipped within the seller's state pay CGST + SGST (half the rate each),
+ * everything else pays IGST at the full rate. Shipping fees are not taxed.
+ */
+
+export const TAX_TYPES = {
+    INTRA_STATE: "intra_state",
+    INTER_STATE: "inter_state"
+};
+
+// Read on use, since dotenv loads after this module is imported
+// SELLER_STATE: state the goods ship from; PRICES_INCLUDE_TAX=false makes catalog prices tax-exclusive
+export const getTaxSettings = () => ({
+    sellerState: process.env.SELLER_STATE || null,
+    sellerCountry: process.env.SELLER_COUNTRY || "India",
+    pricesIncludeTax: process.env.PRICES_INCLUDE_TAX !== "false"
+});
+
+/**
+ * Validate a tax rate in percent; null or "" clears it (inherit from the category)
+ */
+export const parseTaxRate = (value, field = "Tax rate") => {
+    if (value === undefined) return undefined;
+    if (value === null || value === "") return null;
+
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+        throw new ApiError(400, `${field} must be a percentage between 0 and 100`);
+    }
+    return rate;
+};
+
+const sameText = (a, b) => String(a ?? "").trim().toLowerCase() === String(b ?? "").trim().toLowerCase();
+
+// Without a configured seller state every order is treated as inter-state (IGST)
+export const resolveTaxType = (address, settings = getTaxSettings()) => {
+    const intraState = Boolean(settings.sellerState) &&
+        sameText(address?.country || "India", settings.sellerCountry) &&
+        sameText(address?.state, settings.sellerState);
+    return intraState ? TAX_TYPES.INTRA_STATE : TAX_TYPES.INTER_STATE;
+};
+
+// Spread an order-level discount over the lines it applies to, in proportion to their value;
+// the last of those lines takes the rounding remainder so the shares add up exactly
+const allocateDiscount = (items, discount, discountedItems = items) => {
+    const discountedKeys = new Set(discountedItems.map(lineItemKey));
+    const eligible = items.map(item => discountedKeys.has(lineItemKey(item)));
+    const lastEligible = eligible.lastIndexOf(true);
+    const subtotal = items.reduce((sum, item, index) => sum + (eligible[index] ? item.totalPrice : 0), 0);
+    let remaining = roundCurrency(Math.min(Math.max(discount, 0), subtotal));
+
+    return items.map((item, index) => {
+        if (!eligible[index]) return 0;
+
+        const share = index === lastEligible || subtotal === 0
+            ? remaining
+            : Math.min(roundCurrency(discount * item.totalPrice / subtotal), remaining);
+        remaining = roundCurrency(remaining - share);
+        return share;
+    });
+};
+
+/**
+ * Work out tax for priced line items ({ totalPrice, taxRate }) shipped to an address
+ * The discount is shared only by discountedItems (the coupon's eligible lines), all lines by default
+ * Each returned line carries its discount share, taxable value, CGST/SGST/IGST, tax and
+ * lineTotal (what the customer pays for the line); lineTotals plus shipping make up the order total
+ */
+export const calculateTaxes = (items, { discount = 0, discountedItems = items, address, settings = getTaxSettings() } = {}) => {
+    const taxType = resolveTaxType(address, settings);
+    const discounts = allocateDiscount(items, discount, discountedItems);
+    const totals = { taxAmount: 0, cgst: 0, sgst: 0, igst: 0 };
+
+    const taxedItems = items.map((item, index) => {
+        const rate = item.taxRate || 0;
+        const net = roundCurrency(item.totalPrice - discounts[index]);
+
+        // Inclusive prices already contain the tax, so it is backed out of the net amount
+        const taxableValue = settings.pricesIncludeTax ? roundCurrency(net * 100 / (100 + rate)) : net;
+        const taxAmount = settings.pricesIncludeTax ? roundCurrency(net - taxableValue) : roundCurrency(net * rate / 100);
+
+        const cgst = taxType === TAX_TYPES.INTRA_STATE ? roundCurrency(taxAmount / 2) : 0;
+        const sgst = taxType === TAX_TYPES.INTRA_STATE ? roundCurrency(taxAmount - cgst) : 0;
+        const igst = taxType === TAX_TYPES.INTER_STATE ? taxAmount : 0;
+
+        totals.taxAmount += taxAmount;
+        totals.cgst += cgst;
+        totals.sgst += sgst;
+        totals.igst += igst;
+
+        return {
+            ...item,
+            taxRate: rate,
+            discount: discounts[index],
+            taxableValue,
+            cgst,
+            sgst,
+            igst,
+            taxAmount,
+            lineTotal: roundCurrency(taxableValue + taxAmount)
+        };
+    });
+
+    return {
+        items: taxedItems,
+        taxType,
+        pricesIncludeTax: settings.pricesIncludeTax,
+        sellerState: settings.sellerState,
+        taxAmount: roundCurrency(totals.taxAmount),
+        taxBreakdown: {
+            cgst: roundCurrency(totals.cgst),
+            sgst: roundCurrency(totals.sgst),
+            igst: roundCurrency(totals.igst)
+        }
+    };
+};
+
+/**
+ * Tax rate for each product id: the product's own override, else its category's rate
+ */
+export const resolveTaxRates = async (products) => {
+    const categoryRates = await Category.getTaxRates(products.map(product => product.category));
+
+    return new Map(products.map(product => [
+        product._id.toString(),
+        product.taxRate ?? categoryRates.get(product.category?.toString()) ?? 0
+    ]));
+};
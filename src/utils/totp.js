@@ -0,0 +1,117 @@
+import crypto from "crypto";
+
+/**
+ * TOTP (RFC 6238) helpers: SHA-1, 6 digits, 30 second steps, as expected by authenticator apps
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = "";
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+export const base32Decode = (input) => {
+    const cleaned = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error("Invalid base32 character");
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentTimeStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+export const generateTotp = (secret, step = currentTimeStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+    return String(code).padStart(DIGITS, "0");
+};
+
+/**
+ * Check a code against the current step and `window` steps either side for clock drift.
+ * Returns the matching step so callers can refuse to accept the same code twice, or null.
+ */
+export const verifyTotp = (secret, code, { window = 1, time = Date.now() } = {}) => {
+    const normalized = String(code ?? "").replace(/\s/g, "");
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentTimeStep(time);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = Buffer.from(generateTotp(secret, step + offset));
+        if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+            return step + offset;
+        }
+    }
+    return null;
+};
+
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Secrets are stored encrypted (AES-256-GCM) with TWO_FACTOR_ENCRYPTION_KEY,
+ * falling back to a key derived from ACCESS_TOKEN_SECRET
+ */
+const getEncryptionKey = () => crypto.createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || `${process.env.ACCESS_TOKEN_SECRET}:totp`)
+    .digest();
+
+export const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString("base64url")).join(".");
+};
+
+export const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = String(payload).split(".").map(part => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/**
+ * One-time backup codes: the plain codes are shown once, only their hashes are stored
+ */
+export const hashBackupCode = (code) => crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toLowerCase()).digest("hex");
+
+export const generateBackupCodes = (count = 10) => Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
@@ -0,0 +1,85 @@
+import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { User } from "../models/user.model.js";
+import { Setting } from "../models/setting.model.js";
+import { decryptSecret, hashBackupCode, verifyTotp } from "./totp.js";
+
+/**
+ * Two-factor login helpers shared by the login flow, enrollment and the role policy
+ */
+
+export const TWO_FACTOR_POLICY_KEY = "twoFactorRequiredRoles";
+const POLICY_CACHE_MS = 60 * 1000;
+const CHALLENGE_EXPIRY = "5m";
+
+let policyCache = { roles: null, expiresAt: 0 };
+
+// Roles that must have 2FA enabled before they can use role-restricted endpoints
+export const getRequiredTwoFactorRoles = async () => {
+    if (!policyCache.roles || policyCache.expiresAt < Date.now()) {
+        policyCache = {
+            roles: await Setting.getValue(TWO_FACTOR_POLICY_KEY, []),
+            expiresAt: Date.now() + POLICY_CACHE_MS
+        };
+    }
+    return policyCache.roles;
+};
+
+export const setRequiredTwoFactorRoles = async (roles, updatedBy) => {
+    await Setting.setValue(TWO_FACTOR_POLICY_KEY, roles, updatedBy);
+    policyCache = { roles: null, expiresAt: 0 };
+};
+
+export const isTwoFactorRequired = async (user) => (await getRequiredTwoFactorRoles()).includes(user.role);
+
+// Challenge tokens use their own secret and carry no _id, so they can never pass as access tokens
+const getChallengeSecret = () => `${process.env.ACCESS_TOKEN_SECRET}:2fa-challenge`;
+
+export const createChallengeToken = (user) => jwt.sign(
+    { sub: String(user._id), purpose: "2fa", jti: crypto.randomUUID() },
+    getChallengeSecret(),
+    { expiresIn: CHALLENGE_EXPIRY }
+);
+
+export const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(String(token), getChallengeSecret());
+        return decoded.purpose === "2fa" ? decoded : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Check a TOTP code or a backup code for a user with 2FA enabled and consume it.
+ * Both checks are atomic, so a code is accepted at most once. Returns "totp", "backup_code" or null.
+ */
+export const verifySecondFactor = async (userId, { code, backupCode }) => {
+    const user = await User.findById(userId).select("+twoFactor.secret +twoFactor.lastUsedStep");
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+
+    if (code) {
+        const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+        if (step === null) return null;
+
+        const result = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [{ "twoFactor.lastUsedStep": { $exists: false } }, { "twoFactor.lastUsedStep": { $lt: step } }]
+            },
+            { $set: { "twoFactor.lastUsedStep": step } }
+        );
+        return result.modifiedCount ? "totp" : null;
+    }
+
+    if (backupCode) {
+        const hash = hashBackupCode(backupCode);
+        const result = await User.updateOne(
+            { _id: user._id, "twoFactor.backupCodes": hash },
+            { $pull: { "twoFactor.backupCodes": hash } }
+        );
+        return result.modifiedCount ? "backup_code" : null;
+    }
+
+    return null;
+};
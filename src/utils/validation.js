@@ -149,6 +149,26 @@ export const validatePhoneNumber = (phone) => {
     return cleanPhone;
 };
 
+/**
+ * Postal code validation; Indian PIN codes are checked strictly, other countries loosely
+ */
+export const validatePostalCode = (postalCode, country = 'India') => {
+    if (!postalCode || typeof postalCode !== 'string') {
+        throw new ApiError(400, "Postal code is required and must be a string");
+    }
+
+    const trimmed = postalCode.trim().toUpperCase();
+    const isIndia = !country || country.trim().toLowerCase() === 'india';
+
+    const postalRegex = isIndia ? /^[1-9]\d{5}$/ : /^[A-Z0-9][A-Z0-9 -]{1,8}[A-Z0-9]$/;
+
+    if (!postalRegex.test(trimmed)) {
+        throw new ApiError(400, isIndia ? "Postal code must be a 6-digit PIN code" : "Invalid postal code format");
+    }
+
+    return trimmed;
+};
+
 /**
  * Sanitize string input
  */
@@ -198,8 +218,13 @@ export const validateObjectId = (id, fieldName = "ID") => {
 /**
  * Validate pagination parameters
  */
-export const validatePagination = (query) => {
-    const { page = 1, limit = 10, sort = 'createdAt', order = 'desc' } = query;
+export const validatePagination = (query, options = {}) => {
+    const {
+        defaultSort = 'createdAt',
+        defaultLimit = 10,
+        allowedSortFields = ['createdAt', 'updatedAt', 'name', 'email', 'username']
+    } = options;
+    const { page = 1, limit = defaultLimit, sort = defaultSort, order = 'desc' } = query;
 
     // Validate page
     const pageNum = parseInt(page);
@@ -214,13 +239,12 @@ export const validatePagination = (query) => {
     }
 
     // Validate sort field
-    const allowedSortFields = ['createdAt', 'updatedAt', 'name', 'email', 'username'];
     if (!allowedSortFields.includes(sort)) {
         throw new ApiError(400, `Invalid sort field. Allowed: ${allowedSortFields.join(', ')}`);
     }
 
     // Validate order
-    if (!['asc', 'desc'].includes(order.toLowerCase())) {
+    if (typeof order !== 'string' || !['asc', 'desc'].includes(order.toLowerCase())) {
         throw new ApiError(400, "Order must be 'asc' or 'desc'");
     }
 
@@ -364,3 +388,9 @@ export const validateEnum = (value, allowed, field = 'value') => {
 };
 
 
+
+
+/**
+ * Escape user input before embedding it in a regular expression
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');